@@ -0,0 +1,738 @@
+/* ============================================================
+   CryptoPricePredictor — src/charts.js
+
+   Canvas charts: equity curves, the sparklines on the summary
+   cards and the interactive detail chart (zoom / pan / lazy
+   history, indicator panes, crosshair, forecast path).
+   ============================================================ */
+
+import { HORIZONS, INTERVAL_MS, TIMEFRAMES } from "./config.js";
+import { fmtBand, fmtMoney, fmtNum, fmtPct, fmtTime, fmtVol } from "./format.js";
+import { COINS, activeCoin, activeTF, coinData, horizons } from "./state.js";
+import { getKlines, symOf } from "./data.js";
+import { CANDLE_PATTERNS, SR_PIVOT, SR_STRONG, calcADX, calcATR, calcBollinger, calcFibonacci, calcIchimoku, calcMACD, calcOBV, calcPSAR, calcRSI, calcStochastic, calcSupertrend, calcVWAP, detectPatterns, ema, findLevels, vwapAnchor } from "./indicators.js";
+
+// ── Equity Curve ───────────────────────────────────────
+// Backtest and paper-trading equity, one line per row ({ label, equity, ret })
+const BT_COLORS = ["#818cf8", "#22d3ee", "#fbbf24", "#c084fc", "#34d399", "#fb923c"];
+
+export function drawEquityChart(canvas, rows) {
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width*dpr; canvas.height = rect.height*dpr;
+  ctx.scale(dpr,dpr);
+  const W = rect.width, H = rect.height;
+  ctx.clearRect(0,0,W,H);
+  if (!rows.length) return;
+
+  const all = rows.flatMap(r => r.equity);
+  const min = Math.min(...all, 1)*0.998, max = Math.max(...all, 1)*1.002, range = max-min || 1;
+  const toY = v => 8 + (H-16) - ((v-min)/range)*(H-16);
+
+  // Break-even line
+  ctx.setLineDash([3,3]); ctx.beginPath(); ctx.moveTo(0,toY(1)); ctx.lineTo(W,toY(1));
+  ctx.strokeStyle = "rgba(78,90,114,0.5)"; ctx.lineWidth = 0.8; ctx.stroke(); ctx.setLineDash([]);
+
+  rows.forEach((r, ri) => {
+    const col = BT_COLORS[ri % BT_COLORS.length];
+    const toX = i => (i / Math.max(r.equity.length-1, 1)) * W;
+    ctx.beginPath();
+    r.equity.forEach((v, i) => i === 0 ? ctx.moveTo(toX(i),toY(v)) : ctx.lineTo(toX(i),toY(v)));
+    ctx.strokeStyle = col; ctx.lineWidth = 1.4; ctx.lineJoin = "round"; ctx.stroke();
+    ctx.font = "10px JetBrains Mono"; ctx.fillStyle = col;
+    ctx.fillText(`${r.label} ${fmtPct(r.ret)}`, 6, 14 + ri*13);
+  });
+}
+
+// ── Mini Sparkline on Summary Cards ────────────────────
+export function drawSparkline(coinId, closes) {
+  const canvasId = `${coinId.toLowerCase()}-spark`;
+  let canvas = document.getElementById(canvasId);
+  if (!canvas) {
+    // Create canvas element dynamically
+    const card = document.querySelector(`.scard[data-coin="${coinId}"]`);
+    if (!card) return;
+    const priceEl = card.querySelector(".scard__price");
+    canvas = document.createElement("canvas");
+    canvas.id = canvasId;
+    canvas.className = "scard__spark";
+    canvas.height = 48;
+    priceEl.insertAdjacentElement("afterend", canvas);
+  }
+
+  const ctx = canvas.getContext("2d");
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width * dpr;
+  canvas.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+  const W = rect.width, H = rect.height;
+
+  const data = closes.slice(-48);
+  if (data.length < 2) return;
+
+  const min = Math.min(...data) * 0.9995;
+  const max = Math.max(...data) * 1.0005;
+  const range = max - min || 1;
+  const toX = i => (i / (data.length-1)) * W;
+  const toY = v => H - ((v-min)/range) * (H-4) - 2;
+
+  ctx.clearRect(0,0,W,H);
+
+  // Gradient fill
+  const up = data[data.length-1] >= data[0];
+  const grad = ctx.createLinearGradient(0,0,0,H);
+  grad.addColorStop(0, up ? "rgba(52,211,153,0.15)" : "rgba(251,113,133,0.15)");
+  grad.addColorStop(1, "transparent");
+
+  ctx.beginPath();
+  ctx.moveTo(toX(0), H);
+  for (let i = 0; i < data.length; i++) ctx.lineTo(toX(i), toY(data[i]));
+  ctx.lineTo(toX(data.length-1), H);
+  ctx.closePath();
+  ctx.fillStyle = grad;
+  ctx.fill();
+
+  // Line
+  ctx.beginPath();
+  for (let i = 0; i < data.length; i++) {
+    const x = toX(i), y = toY(data[i]);
+    i === 0 ? ctx.moveTo(x,y) : ctx.lineTo(x,y);
+  }
+  ctx.strokeStyle = up ? "#34d399" : "#fb7185";
+  ctx.lineWidth = 1.5;
+  ctx.lineJoin = "round";
+  ctx.stroke();
+}
+
+// ── Detail Chart ───────────────────────────────────────
+// Shaded forecast cone from the last close out to the 90% / 50% band at x1
+export function drawBandCone(ctx, x0, y0, x1, band, toY, up) {
+  const rgb = up ? "52,211,153" : "251,113,133";
+  for (const [[lo, hi], a] of [[band.p90, 0.08], [band.p50, 0.16]]) {
+    ctx.beginPath(); ctx.moveTo(x0, y0); ctx.lineTo(x1, toY(hi)); ctx.lineTo(x1, toY(lo)); ctx.closePath();
+    ctx.fillStyle = `rgba(${rgb},${a})`; ctx.fill();
+  }
+}
+
+// The chart keeps its own candle series: older pages fetched while panning
+// left, followed by the live klines of the active timeframe. view.offset is
+// how many bars the right edge sits before the newest candle, view.span how
+// many bars fit; both are fractional so zoom and pan stay smooth.
+const CHART_MIN_BARS = 20;
+const CHART_MAX_BARS = 1000;
+const CHART_PAGE = 500;          // older candles per lazy load
+const CHART_LOAD_MARGIN = 30;    // bars left of the view that trigger one
+const CHART_AXIS_H = 18;         // time axis strip
+const CHART_PANE_H = 80;
+
+// Oscillator sub-panes (toggled by #ov-<key>), stacked under the price chart in this order
+const fmtOsc = v => v == null ? "—" : Math.abs(v) >= 1 ? v.toFixed(2) : v.toPrecision(3);
+const CHART_PANES = {
+  rsi:   { label: "RSI 14", range: [0, 100], guides: [30, 70], fmt: v => fmtNum(v, 1), lines: ind => [[ind.rsi, "#c084fc"]] },
+  macd:  { label: "MACD 12/26/9", fmt: fmtOsc, hist: ind => ind.macd.histSeries,
+           lines: ind => [[ind.macd.lineSeries, "#22d3ee"], [ind.macd.signalSeries, "#fbbf24"]] },
+  stoch: { label: "Stoch 14/3", range: [0, 100], guides: [20, 80], fmt: v => fmtNum(v, 1),
+           lines: ind => [[ind.stoch.kSeries, "#22d3ee"], [ind.stoch.dSeries, "#fb923c"]] },
+  atr:   { label: "ATR 14", fmt: v => fmtMoney(v), lines: ind => [[ind.atr, "#94a3b8"]] },
+  adx:   { label: "ADX 14 +DI/−DI", range: [0, 100], guides: [25], fmt: v => fmtNum(v, 1),
+           lines: ind => [[ind.adx.series, "#e2e8f0"], [ind.adx.plusSeries, "#34d399"], [ind.adx.minusSeries, "#fb7185"]] },
+  obv:   { label: "OBV / EMA20", fmt: v => v == null ? "—" : (v < 0 ? "-" : "") + fmtVol(Math.abs(v)),
+           lines: ind => [[ind.obv.series, "#22d3ee"], [ind.obv.ema, "#fbbf24"]] },
+};
+const AXIS_STEPS = [1, 5, 15, 30, 60, 120, 180, 360, 720, 1440, 2880, 10080, 20160, 43200, 129600, 525600].map(m => m * 60_000);
+
+export let chart = newChartState();
+
+function newChartState() {
+  return { kl: [], live: null, ind: null, geom: null, hover: null, loading: false, exhausted: false, frame: 0,
+    view: { offset: 0, span: TIMEFRAMES[activeTF].limit } };
+}
+export function resetChart() { chart = newChartState(); }
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// Splice the current live klines onto the end of the chart series
+export function syncChartSeries() {
+  const live = coinData[activeCoin]?.klines?.[activeTF];
+  if (!live?.length || live === chart.live) return;
+  let i = chart.kl.length;
+  while (i > 0 && chart.kl[i-1].t >= live[0].t) i--;
+  const added = Math.max(0, i + live.length - chart.kl.length);
+  chart.kl = chart.kl.slice(0, i).concat(live);
+  chart.live = live;
+  chart.ind = null;
+  // A panned-back view stays on the candles it shows while new ones arrive
+  if (chart.view.offset > 0) chart.view.offset += added;
+}
+
+function chartIndicators() {
+  if (!chart.ind) {
+    const closes = chart.kl.map(k=>k.c), highs = chart.kl.map(k=>k.h), lows = chart.kl.map(k=>k.l);
+    chart.ind = { ema: [[ema(closes,8),"#fbbf24"],[ema(closes,21),"#818cf8"],[closes.length>=50?ema(closes,50):null,"#22d3ee"]],
+      bb: calcBollinger(closes,20,2), rsi: calcRSI(closes).series, macd: calcMACD(closes),
+      stoch: calcStochastic(highs,lows,closes), atr: calcATR(highs,lows,closes).series,
+      vwap: calcVWAP(highs,lows,closes,chart.kl.map(k=>k.v),chart.kl.map(k=>k.t),vwapAnchor(INTERVAL_MS[activeTF])).series,
+      ichi: calcIchimoku(highs,lows), psar: calcPSAR(highs,lows), st: calcSupertrend(highs,lows,closes),
+      adx: calcADX(highs,lows,closes), pat: detectPatterns(chart.kl.map(k=>k.o),highs,lows,closes) };
+    const obv = calcOBV(closes, chart.kl.map(k=>k.v)).series;
+    chart.ind.obv = { series: obv, ema: ema(obv, 20) };
+  }
+  return chart.ind;
+}
+
+async function loadOlderCandles() {
+  const c = chart;
+  if (c.loading || c.exhausted || !c.kl.length) return;
+  const coin = COINS.find(x=>x.id===activeCoin);
+  if (!coin) return;
+  c.loading = true;
+  try {
+    const first = c.kl[0].t;
+    const older = (await getKlines(symOf(coin), TIMEFRAMES[activeTF].interval, CHART_PAGE, first - 1)).filter(k => k.t < first);
+    if (c !== chart) return; // coin, timeframe or source changed meanwhile
+    if (!older.length) c.exhausted = true;
+    c.kl = older.concat(c.kl);
+    c.ind = null;
+    scheduleChart();
+  } catch(e) { console.error("Older candles error:", e); }
+  finally { c.loading = false; }
+}
+
+function scheduleChart() {
+  if (chart.frame) return;
+  chart.frame = requestAnimationFrame(() => { chart.frame = 0; renderDetailChart(); });
+}
+
+// Keep the view inside the series; once the user moves it near the left end, fetch more history
+function settleView(fetchMore) {
+  const v = chart.view, n = chart.kl.length;
+  v.span = clamp(v.span, Math.min(CHART_MIN_BARS, n), Math.max(1, Math.min(CHART_MAX_BARS, n)));
+  v.offset = clamp(v.offset, 0, Math.max(0, n - v.span));
+  if (fetchMore && n - v.offset - v.span < CHART_LOAD_MARGIN) loadOlderCandles();
+}
+
+function zoomChart(factor, x) {
+  const g = chart.geom;
+  if (!g) return;
+  const v = chart.view, n = chart.kl.length;
+  const anchor = g.left + x / g.gap; // bar under the cursor stays put
+  v.span = clamp(v.span * factor, Math.min(CHART_MIN_BARS, n), Math.max(1, Math.min(CHART_MAX_BARS, n)));
+  v.offset = n - (anchor - x * v.span / g.plotW) - v.span;
+  settleView(true);
+  scheduleChart();
+}
+
+function panChart(dx) {
+  if (!chart.geom) return;
+  chart.view.offset += dx / chart.geom.gap;
+  settleView(true);
+  scheduleChart();
+}
+
+// "MM/DD" at day boundaries (and on daily candles), "HH:mm" otherwise
+function fmtAxisTime(t) {
+  const d = new Date(t), p = v => String(v).padStart(2,"0");
+  return activeTF === "1d" || (d.getHours() === 0 && d.getMinutes() === 0)
+    ? `${p(d.getMonth()+1)}/${p(d.getDate())}` : `${p(d.getHours())}:${p(d.getMinutes())}`;
+}
+
+// Support (green) / resistance (red) zones as bands across the plot; strong
+// ones darker, tagged S/R with their strength at the right edge
+export function drawLevelBands(ctx, levels, toY, w) {
+  ctx.font = "9px JetBrains Mono"; ctx.textAlign = "right";
+  for (const l of levels) {
+    const y1 = toY(l.hi), y2 = toY(l.lo), h = Math.max(y2-y1, 3), y = (y1+y2)/2 - h/2;
+    const rgb = l.kind === "support" ? "52,211,153" : "251,113,133";
+    ctx.fillStyle = `rgba(${rgb},${l.strength >= SR_STRONG ? 0.14 : 0.07})`; ctx.fillRect(0, y, w, h);
+    ctx.fillStyle = `rgba(${rgb},0.7)`;
+    ctx.fillText(`${l.kind === "support" ? "S" : "R"}${l.strength}${l.vol ? "·V" : ""}`, w-4, y-2);
+  }
+  ctx.textAlign = "start";
+}
+
+// Pattern hits: ▲ under bullish and ▼ over bearish candles, ◆ over doji,
+// with the name once candles are wide enough to keep labels apart
+export function drawPatternMarks(ctx, hits, kl, toX, toY, gap, i0 = 0, i1 = kl.length) {
+  ctx.font = "9px JetBrains Mono"; ctx.textAlign = "center";
+  for (const { i, key } of hits) {
+    if (i < i0 || i >= i1) continue;
+    const p = CANDLE_PATTERNS[key], x = toX(i);
+    const y = p.dir > 0 ? toY(kl[i].l) + 10 : toY(kl[i].h) - 4;
+    ctx.fillStyle = p.dir > 0 ? "#34d399" : p.dir < 0 ? "#fb7185" : "#94a3b8";
+    ctx.fillText(p.dir > 0 ? "▲" : p.dir < 0 ? "▼" : "◆", x, y);
+    if (gap >= (p.dir ? 8 : 14)) ctx.fillText(p.name, x, p.dir > 0 ? y + 10 : y - 10);
+  }
+  ctx.textAlign = "start";
+}
+
+export function drawDetailChart() {
+  if (!activeCoin || !coinData[activeCoin]) return;
+  syncChartSeries();
+  if (!chart.kl.length) return;
+  settleView();
+  renderDetailChart();
+  drawForecastPath();
+  updateDetailStats();
+}
+
+function renderDetailChart() {
+  const cd = coinData[activeCoin];
+  const canvas = document.getElementById("detail-chart");
+  if (!cd || !canvas || !chart.kl.length) return;
+  const panes = Object.keys(CHART_PANES).filter(p => document.getElementById(`ov-${p}`)?.checked);
+  canvas.style.height = panes.length ? `calc(var(--chart-h) + ${panes.length*CHART_PANE_H}px)` : "";
+  const ctx = canvas.getContext("2d");
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width*dpr; canvas.height = rect.height*dpr;
+  ctx.scale(dpr,dpr);
+  const W = rect.width, H = rect.height;
+
+  const showEMA = document.getElementById("ov-ema")?.checked;
+  const showBB = document.getElementById("ov-bb")?.checked;
+  const showVol = document.getElementById("ov-vol")?.checked;
+  const ov = Object.fromEntries(["vwap","ichi","psar","st","fib","pat","sr"].map(k => [k, document.getElementById(`ov-${k}`)?.checked]));
+
+  const kl = chart.kl, n = kl.length, v = chart.view;
+  const ind = chartIndicators(), bD = ind.bb;
+  const right = n - v.offset, left = right - v.span;
+  const i0 = Math.max(0, Math.floor(left)), i1 = Math.min(n, Math.ceil(right));
+
+  // The forecast hangs off the newest candle, so only show it when that is in view
+  const fc = v.offset < 0.5 ? nearestForecast(cd.prediction, activeTF) : null;
+  const band = fc?.bands;
+  const padR = band ? 56 : 0; // room for the forecast cone
+  const plotW = W - padR, gap = plotW / v.span, cW = Math.max(1, gap*0.6);
+  chart.geom = { left, gap, plotW };
+
+  let allV = [];
+  for (let i = i0; i < i1; i++) {
+    allV.push(kl[i].h, kl[i].l);
+    if (showBB && bD.upper[i] !== null) allV.push(bD.upper[i], bD.lower[i]);
+    if (ov.vwap) allV.push(ind.vwap[i]);
+    if (ov.st) allV.push(ind.st.series[i]);
+    if (ov.psar && ind.psar.series[i] != null) allV.push(ind.psar.series[i]);
+    if (ov.ichi) for (const s of [ind.ichi.spanA, ind.ichi.spanB]) if (s[i] !== null) allV.push(s[i]);
+  }
+  if (band) allV.push(...band.p90);
+  const pMin = Math.min(...allV)*0.998, pMax = Math.max(...allV)*1.002, pR = pMax-pMin||1;
+
+  const aTop = H - CHART_AXIS_H, pBot = aTop - panes.length*CHART_PANE_H;
+  const cTop = 8, cBot = showVol ? pBot*0.78 : pBot-8, cH = cBot-cTop;
+  const toX = i => (i - left + 0.5) * gap;
+  const toY = p => cTop + cH - ((p-pMin)/pR)*cH;
+
+  ctx.clearRect(0,0,W,H);
+
+  // Grid
+  ctx.strokeStyle = "rgba(99,102,241,0.06)"; ctx.lineWidth = 0.5;
+  for (let i = 0; i < 5; i++) {
+    const y = cTop + (cH/4)*i;
+    ctx.beginPath(); ctx.moveTo(0,y); ctx.lineTo(W,y); ctx.stroke();
+    ctx.fillStyle = "rgba(78,90,114,0.5)";
+    ctx.font = `${10*(dpr>1?0.85:1)}px JetBrains Mono`;
+    ctx.fillText(fmtMoney(pMax-(pR/4)*i), 4, y-3);
+  }
+
+  // Time axis: the first round local-time step that keeps labels 80px apart
+  const ms = INTERVAL_MS[activeTF];
+  const step = AXIS_STEPS.find(s => s >= ms && s / ms * gap >= 80) ?? AXIS_STEPS.at(-1);
+  ctx.beginPath(); ctx.moveTo(0,aTop); ctx.lineTo(W,aTop);
+  ctx.strokeStyle = "rgba(99,102,241,0.15)"; ctx.stroke();
+  ctx.font = "10px JetBrains Mono"; ctx.textAlign = "center"; ctx.fillStyle = "rgba(78,90,114,0.8)";
+  for (let i = i0; i < i1; i++) {
+    if ((kl[i].t - new Date(kl[i].t).getTimezoneOffset()*60_000) % step) continue;
+    const x = toX(i);
+    if (x < 20 || x > plotW - 20) continue;
+    ctx.fillText(fmtAxisTime(kl[i].t), x, H - 5);
+    ctx.beginPath(); ctx.moveTo(x,cTop); ctx.lineTo(x,aTop);
+    ctx.strokeStyle = "rgba(99,102,241,0.05)"; ctx.stroke();
+  }
+  ctx.textAlign = "start";
+
+  // Series line over the visible range (one bar past each edge so it reaches the border)
+  const line = (s, y, stroke) => {
+    ctx.beginPath(); let started = false;
+    for (let i = Math.max(0, i0-1); i < Math.min(n, i1+1); i++) {
+      if (s[i] == null) continue;
+      started ? ctx.lineTo(toX(i), y(s[i])) : (ctx.moveTo(toX(i), y(s[i])), started = true);
+    }
+    stroke();
+  };
+
+  ctx.save();
+  ctx.beginPath(); ctx.rect(0, 0, plotW, pBot); ctx.clip();
+
+  // Volume
+  if (showVol) {
+    let vMax = 0;
+    for (let i = i0; i < i1; i++) vMax = Math.max(vMax, kl[i].v);
+    const vH = pBot-cBot-4;
+    for (let i = i0; i < i1; i++) {
+      const x = toX(i)-cW/2, h = (kl[i].v/(vMax||1))*vH;
+      ctx.fillStyle = kl[i].c>=kl[i].o ? "rgba(52,211,153,0.2)" : "rgba(251,113,133,0.2)";
+      ctx.fillRect(x, pBot-2-h, cW, h);
+    }
+  }
+
+  // Bollinger Bands
+  if (showBB) {
+    ctx.beginPath(); let s=false;
+    for (let i=i0;i<i1;i++){if(bD.upper[i]===null)continue;const x=toX(i),y=toY(bD.upper[i]);!s?(ctx.moveTo(x,y),s=true):ctx.lineTo(x,y);}
+    for (let i=i1-1;i>=i0;i--){if(bD.lower[i]===null)continue;ctx.lineTo(toX(i),toY(bD.lower[i]));}
+    ctx.closePath(); ctx.fillStyle="rgba(99,102,241,0.04)"; ctx.fill();
+    for (const b of [bD.upper,bD.mid,bD.lower]) line(b, toY, () => {
+      ctx.strokeStyle = b===bD.mid?"rgba(99,102,241,0.35)":"rgba(99,102,241,0.2)";
+      ctx.lineWidth = b===bD.mid?1:0.8; ctx.setLineDash(b===bD.mid?[]:[3,3]); ctx.stroke(); ctx.setLineDash([]);
+    });
+  }
+
+  // Levels of the visible candles, so they follow pan and zoom
+  if (ov.sr && i1 - i0 > 2*SR_PIVOT) {
+    const vis = kl.slice(i0, i1);
+    drawLevelBands(ctx, findLevels(vis.map(k=>k.h), vis.map(k=>k.l), vis.map(k=>k.c), vis.map(k=>k.v), ind.atr[i1-1]), toY, plotW);
+  }
+
+  // Ichimoku: cloud coloured by which span leads, then Tenkan / Kijun
+  if (ov.ichi) {
+    const { spanA: A, spanB: B } = ind.ichi;
+    for (let i = Math.max(1, i0); i < Math.min(n, i1+1); i++) {
+      if (A[i-1] === null || B[i-1] === null || A[i] === null || B[i] === null) continue;
+      ctx.beginPath(); ctx.moveTo(toX(i-1), toY(A[i-1])); ctx.lineTo(toX(i), toY(A[i]));
+      ctx.lineTo(toX(i), toY(B[i])); ctx.lineTo(toX(i-1), toY(B[i-1])); ctx.closePath();
+      ctx.fillStyle = A[i] >= B[i] ? "rgba(52,211,153,0.08)" : "rgba(251,113,133,0.08)"; ctx.fill();
+    }
+    for (const [s, c] of [[ind.ichi.tenkan, "#f472b6"], [ind.ichi.kijun, "#60a5fa"]])
+      line(s, toY, () => { ctx.strokeStyle = c; ctx.lineWidth = 1; ctx.stroke(); });
+  }
+
+  // Fibonacci retracements of the visible swing, from the swing's start to the right edge
+  if (ov.fib && i1 - i0 > 1) {
+    const f = calcFibonacci(kl.slice(i0,i1).map(k=>k.h), kl.slice(i0,i1).map(k=>k.l), i1-i0);
+    const x0 = toX(i0 + Math.min(f.hiIdx, f.loIdx));
+    ctx.font = "9px JetBrains Mono"; ctx.textAlign = "right";
+    for (const { ratio, price } of f.levels) {
+      const y = toY(price), key = ratio === 0.382 || ratio === 0.618;
+      ctx.beginPath(); ctx.moveTo(x0, y); ctx.lineTo(plotW, y);
+      ctx.strokeStyle = key ? "rgba(251,191,36,0.45)" : "rgba(251,191,36,0.2)"; ctx.lineWidth = 1; ctx.stroke();
+      ctx.fillStyle = "rgba(251,191,36,0.7)"; ctx.fillText(`${(ratio*100).toFixed(1)}% ${fmtMoney(price)}`, plotW-4, y-2);
+    }
+    ctx.textAlign = "start";
+  }
+
+  // Candlesticks
+  for (let i=i0;i<i1;i++) {
+    const k=kl[i], x=toX(i), oY=toY(k.o), cY=toY(k.c), hY=toY(k.h), lY=toY(k.l);
+    const col = k.c>=k.o?"#34d399":"#fb7185";
+    ctx.beginPath(); ctx.moveTo(x,hY); ctx.lineTo(x,lY); ctx.strokeStyle=col; ctx.lineWidth=1; ctx.stroke();
+    ctx.fillStyle=col; ctx.fillRect(x-cW/2, Math.min(oY,cY), cW, Math.max(Math.abs(oY-cY),1));
+  }
+
+  // EMA
+  if (showEMA) {
+    for (const [s,c] of ind.ema) if (s) line(s, toY, () => { ctx.strokeStyle=c; ctx.lineWidth=1.2; ctx.stroke(); });
+  }
+
+  if (ov.vwap) line(ind.vwap, toY, () => { ctx.strokeStyle="#e879f9"; ctx.lineWidth=1.2; ctx.setLineDash([6,3]); ctx.stroke(); ctx.setLineDash([]); });
+
+  // Supertrend: one segment per bar, coloured by trend and broken at flips
+  if (ov.st) {
+    const { series: S, trendSeries: T } = ind.st;
+    ctx.lineWidth = 1.4;
+    for (let i = Math.max(1, i0); i < Math.min(n, i1+1); i++) {
+      if (T[i] !== T[i-1]) continue;
+      ctx.beginPath(); ctx.moveTo(toX(i-1), toY(S[i-1])); ctx.lineTo(toX(i), toY(S[i]));
+      ctx.strokeStyle = T[i] > 0 ? "#34d399" : "#fb7185"; ctx.stroke();
+    }
+  }
+
+  if (ov.psar) {
+    const { series: S, trendSeries: T } = ind.psar, r = Math.max(1, Math.min(2.5, gap*0.2));
+    for (let i = i0; i < i1; i++) {
+      if (S[i] == null) continue;
+      ctx.beginPath(); ctx.arc(toX(i), toY(S[i]), r, 0, Math.PI*2);
+      ctx.fillStyle = T[i] > 0 ? "rgba(52,211,153,0.8)" : "rgba(251,113,133,0.8)"; ctx.fill();
+    }
+  }
+
+  if (ov.pat) drawPatternMarks(ctx, ind.pat, kl, toX, toY, gap, i0, i1);
+  ctx.restore();
+
+  // Prediction marker
+  if (fc) {
+    const pP = fc.price, last = kl[n-1].c;
+    const lX=toX(n-1), lY=toY(last), pX=W-6, pY=toY(Math.max(pMin,Math.min(pMax,pP)));
+    const up = pP>=last;
+
+    drawBandCone(ctx, lX, lY, pX, band, toY, up);
+    ctx.setLineDash([4,4]); ctx.beginPath(); ctx.moveTo(lX,lY); ctx.lineTo(pX,pY);
+    ctx.strokeStyle = up?"#34d399":"#fb7185"; ctx.lineWidth=1.5; ctx.stroke(); ctx.setLineDash([]);
+
+    ctx.beginPath(); ctx.arc(pX,pY,5,0,Math.PI*2);
+    ctx.fillStyle = up?"#34d399":"#fb7185"; ctx.fill();
+    ctx.strokeStyle="#0c1220"; ctx.lineWidth=2; ctx.stroke();
+
+    ctx.font = "bold 11px JetBrains Mono"; ctx.fillStyle = up?"#34d399":"#fb7185";
+    ctx.textAlign = "right"; ctx.fillText(fmtMoney(pP), pX-10, pY-10); ctx.textAlign = "start";
+  }
+
+  // Oscillator panes share the x mapping; their labels follow the crosshair, else the last visible bar
+  const hi = chart.hover ? clamp(Math.floor(left + chart.hover.x / gap), i0, i1-1) : i1-1;
+  const areas = [{ top: 0, bot: pBot, val: y => pMin + (cTop + cH - y) / cH * pR, fmt: v => fmtMoney(v) }];
+  panes.forEach((p, j) => areas.push(drawPane(ctx, CHART_PANES[p], ind, pBot + j*CHART_PANE_H, { i0, i1, hi, W, plotW, toX, line })));
+
+  if (chart.loading) {
+    ctx.font = "10px JetBrains Mono"; ctx.fillStyle = "rgba(78,90,114,0.8)";
+    ctx.fillText("이전 캔들 불러오는 중…", 4, pBot-6);
+  }
+
+  if (chart.hover) drawCrosshair(ctx, { kl, ind, i: hi, toX, areas, aTop, plotW, H, showEMA, showBB, ov });
+}
+
+// One oscillator pane: guide lines, the pane's series, and a label with values at bar g.hi
+function drawPane(ctx, pane, ind, top, g) {
+  const bot = top + CHART_PANE_H, pTop = top + 16, pBot = bot - 4;
+  const series = pane.lines(ind), hist = pane.hist?.(ind);
+  let [lo, hi] = pane.range || [Infinity, -Infinity];
+  if (!pane.range) {
+    for (const s of hist ? [...series.map(([s]) => s), hist] : series.map(([s]) => s))
+      for (let i = g.i0; i < g.i1; i++) if (s[i] != null) { lo = Math.min(lo, s[i]); hi = Math.max(hi, s[i]); }
+    if (hist) { lo = Math.min(lo, 0); hi = Math.max(hi, 0); }
+    if (!isFinite(lo)) [lo, hi] = [0, 1];
+  }
+  const r = hi - lo || 1, toY = v => pBot - (v - lo) / r * (pBot - pTop);
+
+  ctx.beginPath(); ctx.moveTo(0, top); ctx.lineTo(g.W, top);
+  ctx.strokeStyle = "rgba(99,102,241,0.15)"; ctx.lineWidth = 1; ctx.stroke();
+
+  ctx.font = "9px JetBrains Mono"; ctx.fillStyle = "rgba(78,90,114,0.6)";
+  for (const v of [...(pane.guides || []), ...(hist ? [0] : [])]) {
+    const y = toY(v);
+    ctx.setLineDash([3,3]); ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(g.plotW, y);
+    ctx.strokeStyle = "rgba(148,163,184,0.25)"; ctx.stroke(); ctx.setLineDash([]);
+    if (pane.guides) ctx.fillText(String(v), g.plotW - 16, y - 2);
+  }
+
+  ctx.save();
+  ctx.beginPath(); ctx.rect(0, top, g.plotW, CHART_PANE_H); ctx.clip();
+  if (hist) {
+    const w = Math.max(1, (g.toX(1) - g.toX(0)) * 0.6), y0 = toY(0);
+    for (let i = g.i0; i < g.i1; i++) {
+      ctx.fillStyle = hist[i] >= 0 ? "rgba(52,211,153,0.45)" : "rgba(251,113,133,0.45)";
+      ctx.fillRect(g.toX(i) - w/2, Math.min(y0, toY(hist[i])), w, Math.max(1, Math.abs(toY(hist[i]) - y0)));
+    }
+  }
+  for (const [s, c] of series) g.line(s, toY, () => { ctx.strokeStyle = c; ctx.lineWidth = 1.2; ctx.stroke(); });
+  ctx.restore();
+
+  ctx.font = "10px JetBrains Mono";
+  let x = 4;
+  const put = (t, c) => { ctx.fillStyle = c; ctx.fillText(t, x, top + 12); x += ctx.measureText(t).width + 8; };
+  put(pane.label, "rgba(148,163,184,0.8)");
+  for (const [s, c] of series) put(pane.fmt(s[g.hi]), c);
+  if (hist) put(pane.fmt(hist[g.hi]), hist[g.hi] >= 0 ? "#34d399" : "#fb7185");
+
+  return { top, bot, val: y => lo + (pBot - y) / (pBot - pTop) * r, fmt: pane.fmt };
+}
+
+// Crosshair snapped to the hovered candle, with its OHLCV and overlay values
+function drawCrosshair(ctx, g) {
+  const { x: hx, y: hy } = chart.hover;
+  if (hx < 0 || hx > g.plotW || hy < 0 || hy > g.aTop) return;
+  const i = g.i, k = g.kl[i], x = g.toX(i);
+  const area = g.areas.find(a => hy >= a.top && hy < a.bot) || g.areas[0];
+
+  ctx.setLineDash([3,3]); ctx.strokeStyle = "rgba(148,163,184,0.5)"; ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(x,0); ctx.lineTo(x,g.aTop); ctx.moveTo(0,hy); ctx.lineTo(g.plotW,hy); ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Axis tags: value under the cursor (price or oscillator) on the right, candle time on the axis
+  ctx.font = "10px JetBrains Mono";
+  const value = area.fmt(area.val(hy)), tag = fmtTime(k.t);
+  const pw = ctx.measureText(value).width + 8, tw = ctx.measureText(tag).width + 8;
+  ctx.fillStyle = "#1e293b";
+  ctx.fillRect(g.plotW - pw, hy - 8, pw, 16);
+  const tx = clamp(x - tw/2, 0, g.plotW - tw);
+  ctx.fillRect(tx, g.aTop + 1, tw, g.H - g.aTop - 1);
+  ctx.fillStyle = "#e2e8f0";
+  ctx.fillText(value, g.plotW - pw + 4, hy + 4);
+  ctx.fillText(tag, tx + 4, g.H - 5);
+
+  const rows = [
+    [`O ${fmtMoney(k.o)}  H ${fmtMoney(k.h)}`, "#e2e8f0"],
+    [`L ${fmtMoney(k.l)}  C ${fmtMoney(k.c)}`, k.c>=k.o?"#34d399":"#fb7185"],
+    [`V ${fmtVol(k.v)}  (${fmtPct((k.c/k.o-1)*100)})`, "#94a3b8"],
+  ];
+  if (g.showEMA) g.ind.ema.forEach(([s,c], j) => s && rows.push([`EMA${[8,21,50][j]} ${fmtMoney(s[i])}`, c]));
+  if (g.showBB && g.ind.bb.mid[i] !== null)
+    rows.push([`BB ${fmtMoney(g.ind.bb.upper[i])} / ${fmtMoney(g.ind.bb.mid[i])} / ${fmtMoney(g.ind.bb.lower[i])}`, "#818cf8"]);
+  if (g.ov.vwap) rows.push([`VWAP ${fmtMoney(g.ind.vwap[i])}`, "#e879f9"]);
+  if (g.ov.ichi) rows.push([`전환 ${fmtMoney(g.ind.ichi.tenkan[i])}  기준 ${fmtMoney(g.ind.ichi.kijun[i])}`, "#60a5fa"]);
+  if (g.ov.st) rows.push([`Supertrend ${fmtMoney(g.ind.st.series[i])}`, g.ind.st.trendSeries[i] > 0 ? "#34d399" : "#fb7185"]);
+  if (g.ov.psar) rows.push([`PSAR ${fmtMoney(g.ind.psar.series[i])}`, g.ind.psar.trendSeries[i] > 0 ? "#34d399" : "#fb7185"]);
+
+  // Tooltip sits in the corner away from the cursor
+  const bw = Math.max(...rows.map(([t]) => ctx.measureText(t).width)) + 12, bh = rows.length*14 + 8;
+  const bx = hx < g.plotW/2 ? g.plotW - bw - 6 : 6, by = 6;
+  ctx.fillStyle = "rgba(12,18,32,0.88)"; ctx.fillRect(bx, by, bw, bh);
+  ctx.strokeStyle = "rgba(99,102,241,0.3)"; ctx.strokeRect(bx, by, bw, bh);
+  rows.forEach(([t,c], j) => { ctx.fillStyle = c; ctx.fillText(t, bx+6, by+16+j*14); });
+}
+
+// Wheel / pinch to zoom, drag to pan, hover (or tap) for the crosshair, double-click to reset
+export function bindChartEvents() {
+  const canvas = document.getElementById("detail-chart");
+  const pointers = new Map(); // pointerId → last position
+  let pinch = 0, moved = 0;
+  const pos = e => { const r = canvas.getBoundingClientRect(); return { x: e.clientX - r.left, y: e.clientY - r.top }; };
+
+  canvas.addEventListener("wheel", e => {
+    e.preventDefault();
+    zoomChart(e.deltaY > 0 ? 1.15 : 1/1.15, pos(e).x);
+  }, { passive: false });
+
+  canvas.addEventListener("pointerdown", e => {
+    canvas.setPointerCapture?.(e.pointerId);
+    pointers.set(e.pointerId, pos(e));
+    moved = 0; pinch = 0;
+    canvas.classList.add("dragging");
+  });
+  canvas.addEventListener("pointermove", e => {
+    const p = pos(e), prev = pointers.get(e.pointerId);
+    if (!prev) { chart.hover = p; scheduleChart(); return; }
+    pointers.set(e.pointerId, p);
+    if (pointers.size === 1) {
+      moved += Math.abs(p.x - prev.x);
+      chart.hover = null;
+      panChart(p.x - prev.x);
+    } else if (pointers.size === 2) {
+      const [a, b] = [...pointers.values()], dist = Math.hypot(a.x-b.x, a.y-b.y);
+      if (pinch && dist) zoomChart(pinch / dist, (a.x+b.x)/2);
+      pinch = dist;
+    }
+  });
+  const release = e => {
+    if (!pointers.delete(e.pointerId)) return;
+    pinch = 0;
+    if (!pointers.size) {
+      canvas.classList.remove("dragging");
+      if (moved < 4 && e.type === "pointerup") { chart.hover = pos(e); scheduleChart(); }
+    }
+  };
+  canvas.addEventListener("pointerup", release);
+  canvas.addEventListener("pointercancel", release);
+  canvas.addEventListener("pointerleave", e => {
+    if (e.pointerType !== "mouse") return;
+    chart.hover = null; scheduleChart();
+  });
+  canvas.addEventListener("dblclick", () => {
+    chart.view = { offset: 0, span: TIMEFRAMES[activeTF].limit };
+    settleView(); scheduleChart();
+  });
+}
+
+// Forecast of the enabled horizon closest (in log time) to the chart's interval
+export function nearestForecast(pred, tf) {
+  const hs = Object.keys(pred?.horizons || {});
+  if (!hs.length) return null;
+  const d = h => Math.abs(Math.log(INTERVAL_MS[h] / INTERVAL_MS[tf]));
+  return pred.horizons[hs.reduce((a, b) => d(b) < d(a) ? b : a)];
+}
+
+// Forecast path: % move per horizon, evenly spaced from "now", with 50/90% bands
+function drawForecastPath() {
+  const canvas = document.getElementById("detail-path");
+  const cd = coinData[activeCoin];
+  if (!canvas || !cd?.prediction) return;
+  const ctx = canvas.getContext("2d");
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width*dpr; canvas.height = rect.height*dpr;
+  ctx.scale(dpr,dpr);
+  const W = rect.width, H = rect.height;
+  ctx.clearRect(0,0,W,H);
+
+  const price = cd.ticker.price;
+  const pct = v => (v - price) / price * 100;
+  const pts = horizons.filter(h => cd.prediction.horizons[h]).map(h => {
+    const f = cd.prediction.horizons[h];
+    return { h, v: pct(f.price), p50: f.bands.p50.map(pct), p90: f.bands.p90.map(pct) };
+  });
+  if (!pts.length) return;
+  const all = [0, ...pts.flatMap(p => p.p90)];
+  const vMax = Math.max(...all.map(Math.abs)) * 1.1 || 1;
+  const padL = 44, padR = 16, top = 16, bot = H-18;
+  const toX = i => padL + (W-padL-padR) * (i+1) / pts.length;
+  const toY = v => top + (bot-top) * (1 - (v + vMax) / (2*vMax));
+
+  ctx.font = "10px JetBrains Mono";
+  ctx.setLineDash([3,3]); ctx.beginPath(); ctx.moveTo(padL,toY(0)); ctx.lineTo(W-padR,toY(0));
+  ctx.strokeStyle = "rgba(78,90,114,0.5)"; ctx.lineWidth = 0.8; ctx.stroke(); ctx.setLineDash([]);
+  ctx.fillStyle = "rgba(78,90,114,0.8)";
+  ctx.fillText("현재", 4, toY(0)+3);
+  ctx.fillText(fmtPct(vMax), 4, toY(vMax)+8);
+  ctx.fillText(fmtPct(-vMax), 4, toY(-vMax)-2);
+
+  for (const [key, a] of [["p90", 0.08], ["p50", 0.16]]) {
+    ctx.beginPath(); ctx.moveTo(padL, toY(0));
+    pts.forEach((p, i) => ctx.lineTo(toX(i), toY(p[key][1])));
+    for (let i = pts.length-1; i >= 0; i--) ctx.lineTo(toX(i), toY(pts[i][key][0]));
+    ctx.closePath(); ctx.fillStyle = `rgba(129,140,248,${a})`; ctx.fill();
+  }
+
+  ctx.beginPath(); ctx.moveTo(padL, toY(0));
+  pts.forEach((p, i) => ctx.lineTo(toX(i), toY(p.v)));
+  ctx.strokeStyle = "#818cf8"; ctx.lineWidth = 1.5; ctx.lineJoin = "round"; ctx.stroke();
+
+  ctx.textAlign = "center";
+  pts.forEach((p, i) => {
+    const x = toX(i), y = toY(p.v), col = p.v >= 0 ? "#34d399" : "#fb7185";
+    ctx.beginPath(); ctx.arc(x,y,3.5,0,Math.PI*2); ctx.fillStyle = col; ctx.fill();
+    ctx.fillText(fmtPct(p.v), x, y + (p.v >= 0 ? -7 : 13));
+    ctx.fillStyle = "rgba(78,90,114,0.8)"; ctx.fillText(HORIZONS[p.h].label, x, H-4);
+  });
+  ctx.textAlign = "start";
+}
+
+function updateDetailStats() {
+  const cd = coinData[activeCoin];
+  if (!cd?.prediction) return;
+  const pred = cd.prediction, price = cd.ticker.price;
+  const items = [
+    { label:"현재가", val: fmtMoney(price) },
+    ...horizons.filter(h => pred.horizons[h]).map(h => {
+      const f = pred.horizons[h];
+      return {
+        label: `${HORIZONS[h].label} 예측 · 90% 구간`,
+        val: `${fmtMoney(f.price)} · ${fmtBand(f.bands.p90, price)}` +
+          (f.capped ? ` · ${f.capped.kind === "resistance" ? "저항" : "지지"}에서 제한` : ""),
+        cls: f.price>=price?"up":"down",
+      };
+    }),
+    { label:"RSI(14)", val: fmtNum(pred.rsi,1) },
+    { label:"MACD Hist", val: fmtNum(pred.macd.histogram,2), cls: pred.macd.histogram>=0?"up":"down" },
+    { label:"BB %B", val: fmtNum(pred.bb.pctB*100,1)+"%" },
+    { label:"Stoch K/D", val:`${fmtNum(pred.stoch.k,0)}/${fmtNum(pred.stoch.d,0)}` },
+    { label:"ATR", val: fmtMoney(pred.atr) },
+    { label:"EMA 8/21/50", val:`${fmtMoney(pred.ema8Last)} / ${fmtMoney(pred.ema21Last)} / ${fmtMoney(pred.ema50Last)}` },
+  ];
+  // Latest pattern hits and nearest levels on the charted timeframe (its default window)
+  if (chart.kl.length) {
+    const win = chart.kl.slice(-TIMEFRAMES[activeTF].limit), atr = chartIndicators().atr.at(-1);
+    const lv = findLevels(win.map(k=>k.h), win.map(k=>k.l), win.map(k=>k.c), win.map(k=>k.v), atr);
+    const sup = lv.filter(l => l.price < price).sort((a,b)=>b.price-a.price)[0];
+    const res = lv.filter(l => l.price >= price).sort((a,b)=>a.price-b.price)[0];
+    const dist = l => l ? `${fmtMoney(l.price)} (${fmtPct((l.price-price)/price*100)})` : "—";
+    items.push({ label:"가까운 지지 / 저항", val: `${dist(sup)}<br>${dist(res)}` });
+
+    const hits = chartIndicators().pat.filter(p => CANDLE_PATTERNS[p.key].dir).slice(-3).reverse();
+    items.push({ label:"최근 캔들 패턴", val: hits.map(p => `${CANDLE_PATTERNS[p.key].name} ${fmtTime(chart.kl[p.i].t)}`).join("<br>") || "—",
+      cls: hits[0] ? (CANDLE_PATTERNS[hits[0].key].dir > 0 ? "up" : "down") : "" });
+  }
+  document.getElementById("detail-stats").innerHTML = items.map(i =>
+    `<div class="stat"><span class="stat__label">${i.label}</span><span class="stat__val ${i.cls||""}">${i.val}</span></div>`
+  ).join("");
+}
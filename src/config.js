@@ -0,0 +1,67 @@
+/* ============================================================
+   CryptoPricePredictor — src/config.js
+
+   Constants shared across modules: coins, candle intervals,
+   forecast horizons, API bases and storage keys.
+   ============================================================ */
+
+export const WATCHLIST_KEY = "cpp_watchlist";
+export const WATCHLIST_MAX = 12;
+export const DEFAULT_WATCHLIST = ["BTC", "ETH", "SOL"];
+
+// Display names/icons for well-known bases; anything else falls back to its ticker
+export const COIN_META = {
+  BTC:  { name: "Bitcoin",   icon: "₿" },
+  ETH:  { name: "Ethereum",  icon: "Ξ" },
+  SOL:  { name: "Solana",    icon: "◎" },
+  XRP:  { name: "XRP",       icon: "✕" },
+  DOGE: { name: "Dogecoin",  icon: "Ð" },
+  ADA:  { name: "Cardano",   icon: "₳" },
+  BNB:  { name: "BNB",       icon: "◆" },
+  AVAX: { name: "Avalanche", icon: "▲" },
+  DOT:  { name: "Polkadot",  icon: "●" },
+  LINK: { name: "Chainlink", icon: "⬡" },
+  LTC:  { name: "Litecoin",  icon: "Ł" },
+  TRX:  { name: "TRON",      icon: "◬" },
+};
+
+export const TIMEFRAMES = {
+  "1m": { interval: "1m", limit: 120, label: "1분봉" },
+  "1h": { interval: "1h", limit: 168, label: "1시간봉" },
+  "1d": { interval: "1d", limit: 90,  label: "1일봉" },
+};
+
+// Candle intervals every adapter supports
+export const INTERVAL_MS = {
+  "1m": 60_000, "5m": 300_000, "15m": 900_000, "1h": 3_600_000,
+  "4h": 14_400_000, "1d": 86_400_000, "1w": 604_800_000,
+};
+
+// Forecast horizons. Each is projected one bar ahead on candles of its own
+// interval, so the id doubles as the kline interval.
+export const HORIZONS = {
+  "1m":  { label: "1분" },
+  "5m":  { label: "5분" },
+  "15m": { label: "15분" },
+  "1h":  { label: "1시간" },
+  "4h":  { label: "4시간" },
+  "1d":  { label: "1일" },
+  "1w":  { label: "1주" },
+};
+export const HORIZON_IDS = Object.keys(HORIZONS);
+export const HORIZONS_KEY = "cpp_horizons";
+export const DEFAULT_HORIZONS = ["1m", "1h", "1d"];
+export const HORIZON_LIMIT = 120; // candles per horizon: EMA(50) plus warm-up
+
+export const REFRESH_MS = 30_000;
+export const CACHE_TTL  = 20_000;
+export const BINANCE    = "https://api.binance.com/api/v3";
+export const UPBIT      = "https://api.upbit.com/v1";
+export const BYBIT      = "https://api.bybit.com/v5";
+export const SOURCE_KEY = "cpp_source";
+export const HISTORY_KEY = "cpp_history_v2"; // pre-IndexedDB list, migrated on first load
+export const HISTORY_DB  = "cpp";
+export const HISTORY_STORE = "history";
+export const MARKET_STORE = "market";
+export const HISTORY_RETENTION = 180 * 86_400_000;
+export const HISTORY_PAGE = 30;
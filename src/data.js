@@ -0,0 +1,504 @@
+/* ============================================================
+   CryptoPricePredictor — src/data.js
+
+   Everything that talks to an exchange or to IndexedDB: the
+   response cache, the request layer, the exchange adapters, the
+   market store that keeps candles across reloads and the
+   request queue for background scans.
+   ============================================================ */
+
+import { BINANCE, BYBIT, CACHE_TTL, HISTORY_DB, HISTORY_STORE, INTERVAL_MS, MARKET_STORE, SOURCE_KEY, UPBIT } from "./config.js";
+import { setCurrency } from "./state.js";
+
+// ── Helpers ────────────────────────────────────────────
+export const cache = new Map();
+// Concurrent callers of a key that is still loading share the one request
+const pending = new Map();
+export function cached(key, ttl, fn) {
+  const e = cache.get(key);
+  if (e && Date.now() - e.ts < ttl) return Promise.resolve(e.data);
+  if (pending.has(key)) return pending.get(key);
+  const p = fn().then(d => { cache.set(key, { ts: Date.now(), data: d }); return d; }).finally(() => pending.delete(key));
+  pending.set(key, p);
+  return p;
+}
+
+const delay = ms => new Promise(r => setTimeout(r, ms));
+
+// ── Request Layer ──────────────────────────────────────
+// Every REST call goes through fetchJSON: identical in-flight URLs share one
+// request, each attempt times out, network errors / 5xx / 429 retry with
+// exponential backoff, and Binance's X-MBX-USED-WEIGHT-1M header holds new
+// requests back once the minute's weight nears the limit. 429 / 418 pause the
+// whole host for Retry-After. Anything that slows requests down marks the
+// connection degraded for the header indicator.
+const REQ_TIMEOUT = 10_000;
+const REQ_RETRIES = 3;
+const REQ_BACKOFF = 500;           // ms, doubled per retry
+const WEIGHT_LIMIT = 6000;         // Binance request weight per minute
+const WEIGHT_SOFT = 0.8;           // hold requests above this share of it
+const DEGRADED_MS = 60_000;        // how long a retry / throttle keeps the indicator degraded
+
+const inflight = new Map();        // url → Promise
+const hostState = new Map();       // host → { weight, minute, pauseUntil }
+const net = { issueAt: 0, issue: "" };
+
+// The header status indicator, told whenever the connection state changes
+let onStatus = () => {};
+export function onNetStatus(fn) { onStatus = fn; }
+
+function hostOf(url) { return new URL(url).host; }
+function hostInfo(host) {
+  if (!hostState.has(host)) hostState.set(host, { weight: 0, minute: 0, pauseUntil: 0 });
+  return hostState.get(host);
+}
+
+function noteIssue(msg) {
+  net.issueAt = Date.now();
+  net.issue = msg;
+  onStatus();
+}
+
+// Wait out a 429 pause or a minute whose weight is nearly used up
+async function throttle(host) {
+  for (;;) {
+    const h = hostInfo(host), now = Date.now(), minute = Math.floor(now / 60_000);
+    let wait = h.pauseUntil - now;
+    if (h.minute === minute && h.weight >= WEIGHT_LIMIT * WEIGHT_SOFT) wait = Math.max(wait, (minute + 1) * 60_000 - now);
+    if (wait <= 0) return;
+    noteIssue(`요청 제한 대기 ${Math.ceil(wait / 1000)}초`);
+    await delay(wait);
+  }
+}
+
+function readWeight(host, r) {
+  const w = parseInt(r.headers?.get("X-MBX-USED-WEIGHT-1M") ?? r.headers?.get("X-MBX-USED-WEIGHT"), 10);
+  if (!Number.isFinite(w)) return;
+  const h = hostInfo(host);
+  h.weight = w;
+  h.minute = Math.floor(Date.now() / 60_000);
+}
+
+async function attempt(url, host) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), REQ_TIMEOUT);
+  let r;
+  try { r = await fetch(url, { signal: ctrl.signal }); }
+  catch (e) { throw Object.assign(new Error(e.name === "AbortError" ? "시간 초과" : e.message), { retry: true }); }
+  finally { clearTimeout(timer); }
+  readWeight(host, r);
+  if (r.ok) return r.json();
+  const err = new Error(`HTTP ${r.status}`);
+  if (r.status === 429 || r.status === 418) {
+    // 418 is Binance's IP ban after ignoring 429s; both say how long in Retry-After
+    const secs = parseInt(r.headers?.get("Retry-After"), 10);
+    hostInfo(host).pauseUntil = Date.now() + (Number.isFinite(secs) ? secs * 1000 : 60_000);
+    err.retry = r.status === 429;
+  } else err.retry = r.status >= 500;
+  throw err;
+}
+
+async function request(url) {
+  const host = hostOf(url);
+  for (let n = 0; ; n++) {
+    await throttle(host);
+    try { return await attempt(url, host); }
+    catch (e) {
+      if (!e.retry || n >= REQ_RETRIES || globalThis.navigator?.onLine === false) throw e;
+      noteIssue(`재시도 중 (${e.message})`);
+      await delay(REQ_BACKOFF * 2 ** n * (0.75 + Math.random() * 0.5));
+    }
+  }
+}
+
+function fetchJSON(url) {
+  if (!inflight.has(url)) inflight.set(url, request(url).finally(() => inflight.delete(url)));
+  return inflight.get(url);
+}
+
+// Reason the connection counts as degraded right now, or null
+export function netDegraded() {
+  const now = Date.now();
+  for (const [host, h] of hostState) {
+    if (h.pauseUntil > now) return `${host} 요청 제한 · ${Math.ceil((h.pauseUntil - now) / 1000)}초 후 재개`;
+    if (h.minute === Math.floor(now / 60_000) && h.weight >= WEIGHT_LIMIT * WEIGHT_SOFT) return `가중치 ${h.weight}/${WEIGHT_LIMIT}`;
+  }
+  return now - net.issueAt < DEGRADED_MS ? net.issue : null;
+}
+
+// ── Data Sources ───────────────────────────────────────
+// Every exchange adapter normalizes into the same two shapes:
+//   Ticker { symbol, price, changePct, open, high, low, volume, quoteVolume, ts }
+//   Candle { t, T, o, h, l, c, v, q, V }
+//     t/T = open/close time, o/h/l/c = OHLC, v = base volume,
+//     q = quote volume, V = taker-buy base volume (null if not reported)
+// Candles are always returned oldest first.
+
+function binanceTicker(t) {
+  return {
+    symbol: t.symbol, price: parseFloat(t.lastPrice), changePct: parseFloat(t.priceChangePercent),
+    open: parseFloat(t.openPrice), high: parseFloat(t.highPrice), low: parseFloat(t.lowPrice),
+    volume: parseFloat(t.volume), quoteVolume: parseFloat(t.quoteVolume), ts: t.closeTime,
+  };
+}
+export function binanceCandle(k) {
+  return {
+    t: k[0], T: k[6], o: parseFloat(k[1]), h: parseFloat(k[2]), l: parseFloat(k[3]), c: parseFloat(k[4]),
+    v: parseFloat(k[5]), q: parseFloat(k[7]), V: k[9] != null ? parseFloat(k[9]) : null,
+  };
+}
+
+const UPBIT_CANDLES = {
+  "1m": "minutes/1", "5m": "minutes/5", "15m": "minutes/15", "1h": "minutes/60",
+  "4h": "minutes/240", "1d": "days", "1w": "weeks",
+};
+function upbitTicker(t) {
+  return {
+    symbol: t.market, price: t.trade_price, changePct: t.signed_change_rate * 100,
+    open: t.opening_price, high: t.high_price, low: t.low_price,
+    volume: t.acc_trade_volume_24h, quoteVolume: t.acc_trade_price_24h, ts: t.timestamp,
+  };
+}
+function upbitCandle(c, interval) {
+  const t = Date.parse(`${c.candle_date_time_utc}Z`);
+  return {
+    t, T: t + INTERVAL_MS[interval] - 1, o: c.opening_price, h: c.high_price, l: c.low_price, c: c.trade_price,
+    v: c.candle_acc_trade_volume, q: c.candle_acc_trade_price, V: null,
+  };
+}
+
+const BYBIT_INTERVALS = { "1m": "1", "5m": "5", "15m": "15", "1h": "60", "4h": "240", "1d": "D", "1w": "W" };
+async function bybitGet(path) {
+  const r = await fetchJSON(`${BYBIT}/${path}`);
+  if (r.retCode !== 0) throw new Error(`Bybit ${r.retCode}: ${r.retMsg}`);
+  return r.result;
+}
+function bybitTicker(t) {
+  return {
+    symbol: t.symbol, price: parseFloat(t.lastPrice), changePct: parseFloat(t.price24hPcnt) * 100,
+    open: parseFloat(t.prevPrice24h), high: parseFloat(t.highPrice24h), low: parseFloat(t.lowPrice24h),
+    volume: parseFloat(t.volume24h), quoteVolume: parseFloat(t.turnover24h), ts: Date.now(),
+  };
+}
+function bybitCandle(k, interval) {
+  const t = parseInt(k[0]);
+  return {
+    t, T: t + INTERVAL_MS[interval] - 1, o: parseFloat(k[1]), h: parseFloat(k[2]), l: parseFloat(k[3]), c: parseFloat(k[4]),
+    v: parseFloat(k[5]), q: parseFloat(k[6]), V: null,
+  };
+}
+
+// Mock market: the price is a pure function of (symbol, time), so every
+// interval agrees with every other and a reload replays the same market.
+const MOCK_BASES  = ["BTC","ETH","SOL","XRP","DOGE","ADA","AVAX","LINK","DOT","TRX","NEAR","APT","ARB","OP","SUI","PEPE"];
+const MOCK_ANCHOR = { BTC: 65_000, ETH: 3_200, SOL: 150 };
+
+function mockSeed(sym) {
+  let h = 2166136261;
+  for (const ch of sym) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return (h >>> 0) / 2**32;
+}
+function mockPrice(sym, t) {
+  const s = mockSeed(sym), x = t / 3_600_000;
+  const base = MOCK_ANCHOR[sym.replace(/USDT$/, "")] ?? 0.05 + s * 80;
+  return base * (1
+    + 0.060 * Math.sin(x/97 + s*40)
+    + 0.025 * Math.sin(x/11 + s*17)
+    + 0.008 * Math.sin(x*1.7 + s*5)
+    + 0.002 * Math.sin(x*23 + s*3)
+    + 0.0008 * Math.sin(x*137 + s));
+}
+function mockCandle(sym, t, interval, now) {
+  const ms = INTERVAL_MS[interval], end = Math.min(t + ms - 1, now), s = mockSeed(sym);
+  const pts = [0, 0.25, 0.5, 0.75, 1].map(f => mockPrice(sym, t + (end - t) * f));
+  const v = (ms / 60_000) * (40 + 30 * Math.sin(t / 7_300_000 + s*9) ** 2) * (end - t + 1) / ms;
+  const c = pts[4];
+  return {
+    t, T: t + ms - 1, o: pts[0], h: Math.max(...pts), l: Math.min(...pts), c,
+    v, q: v * c, V: v * (0.5 + 0.15 * Math.sin(t / 5_100_000 + s*3)),
+  };
+}
+function mockTicker(sym, now) {
+  const price = mockPrice(sym, now), open = mockPrice(sym, now - 86_400_000);
+  const day = mockKlines(sym, "1h", 24, now);
+  const volume = day.reduce((s,k)=>s+k.v, 0);
+  return {
+    symbol: sym, price, changePct: (price - open) / open * 100, open,
+    high: Math.max(...day.map(k=>k.h)), low: Math.min(...day.map(k=>k.l)),
+    volume, quoteVolume: volume * price, ts: now,
+  };
+}
+function mockKlines(sym, interval, limit, endTime) {
+  const ms = INTERVAL_MS[interval], now = Date.now();
+  const last = Math.floor(Math.min(endTime ?? now, now) / ms) * ms;
+  const out = [];
+  for (let t = last - (limit-1)*ms; t <= last; t += ms) out.push(mockCandle(sym, t, interval, now));
+  return out;
+}
+
+export const SOURCES = {
+  binance: {
+    id: "binance", label: "Binance", quote: "USDT", currency: "USD", usdScale: 1,
+    market: base => `${base}USDT`,
+    base: sym => sym.replace(/USDT$/, ""),
+    async ticker(sym) { return binanceTicker(await fetchJSON(`${BINANCE}/ticker/24hr?symbol=${sym}`)); },
+    async allTickers() {
+      const all = await fetchJSON(`${BINANCE}/ticker/24hr`);
+      return all.filter(t => t.symbol.endsWith("USDT")).map(binanceTicker);
+    },
+    async klines(sym, interval, limit, endTime) {
+      const end = endTime ? `&endTime=${endTime}` : "";
+      const kl = await fetchJSON(`${BINANCE}/klines?symbol=${sym}&interval=${interval}&limit=${limit}${end}`);
+      return kl.map(binanceCandle);
+    },
+    stream: {
+      url: "wss://stream.binance.com:9443/stream",
+      name: (sym, kind) => `${sym.toLowerCase()}@${kind}`,
+      parse(d) {
+        if (d.e === "24hrTicker") return { symbol: d.s, ticker: {
+          symbol: d.s, price: parseFloat(d.c), changePct: parseFloat(d.P), open: parseFloat(d.o),
+          high: parseFloat(d.h), low: parseFloat(d.l), volume: parseFloat(d.v), quoteVolume: parseFloat(d.q), ts: d.C,
+        } };
+        if (d.e === "kline") { const k = d.k; return { symbol: d.s, interval: k.i, candle: {
+          t: k.t, T: k.T, o: parseFloat(k.o), h: parseFloat(k.h), l: parseFloat(k.l), c: parseFloat(k.c),
+          v: parseFloat(k.v), q: parseFloat(k.q), V: parseFloat(k.V),
+        } }; }
+        return null;
+      },
+    },
+  },
+
+  upbit: {
+    id: "upbit", label: "Upbit", quote: "KRW", currency: "KRW", usdScale: 1_300,
+    market: base => `KRW-${base}`,
+    base: sym => sym.replace(/^KRW-/, ""),
+    async ticker(sym) { return upbitTicker((await fetchJSON(`${UPBIT}/ticker?markets=${sym}`))[0]); },
+    async allTickers() {
+      const markets = (await fetchJSON(`${UPBIT}/market/all`)).map(m => m.market).filter(m => m.startsWith("KRW-"));
+      return (await fetchJSON(`${UPBIT}/ticker?markets=${markets.join(",")}`)).map(upbitTicker);
+    },
+    // At most 200 candles per call, newest first: page backwards with `to` (exclusive)
+    async klines(sym, interval, limit, endTime) {
+      const path = UPBIT_CANDLES[interval];
+      if (!path) throw new Error(`Upbit ${interval} 미지원`);
+      const rows = [];
+      let to = endTime ? Math.floor(endTime/1000)*1000 + 1000 : null;
+      while (rows.length < limit) {
+        const count = Math.min(200, limit - rows.length);
+        const toQ = to ? `&to=${new Date(to).toISOString().slice(0,19)}Z` : "";
+        const page = await fetchJSON(`${UPBIT}/candles/${path}?market=${sym}&count=${count}${toQ}`);
+        rows.push(...page);
+        if (page.length < count) break;
+        to = Date.parse(`${page[page.length-1].candle_date_time_utc}Z`);
+      }
+      return rows.reverse().map(c => upbitCandle(c, interval));
+    },
+  },
+
+  bybit: {
+    id: "bybit", label: "Bybit", quote: "USDT", currency: "USD", usdScale: 1,
+    market: base => `${base}USDT`,
+    base: sym => sym.replace(/USDT$/, ""),
+    async ticker(sym) { return bybitTicker((await bybitGet(`market/tickers?category=spot&symbol=${sym}`)).list[0]); },
+    async allTickers() {
+      const r = await bybitGet("market/tickers?category=spot");
+      return r.list.filter(t => t.symbol.endsWith("USDT")).map(bybitTicker);
+    },
+    async klines(sym, interval, limit, endTime) {
+      const end = endTime ? `&end=${endTime}` : "";
+      const r = await bybitGet(`market/kline?category=spot&symbol=${sym}&interval=${BYBIT_INTERVALS[interval]}&limit=${Math.min(limit, 1000)}${end}`);
+      return r.list.reverse().map(k => bybitCandle(k, interval));
+    },
+  },
+
+  mock: {
+    id: "mock", label: "Mock (오프라인)", quote: "USDT", currency: "USD", usdScale: 1,
+    market: base => `${base}USDT`,
+    base: sym => sym.replace(/USDT$/, ""),
+    ticker: async sym => mockTicker(sym, Date.now()),
+    allTickers: async () => MOCK_BASES.map(b => mockTicker(`${b}USDT`, Date.now())),
+    klines: async (sym, interval, limit, endTime) => mockKlines(sym, interval, limit, endTime),
+  },
+};
+
+export let source = loadSource();
+setCurrency(source.currency);
+
+function loadSource() {
+  try { return SOURCES[localStorage.getItem(SOURCE_KEY)] || SOURCES.binance; }
+  catch { return SOURCES.binance; }
+}
+
+// Prices from different exchanges (and quote currencies) must never mix, so a
+// switch drops everything cached or marked stale under the old one
+export function useSource(id) {
+  source = SOURCES[id];
+  setCurrency(source.currency);
+  try { localStorage.setItem(SOURCE_KEY, id); } catch {}
+  cache.clear();
+  staleKeys.clear();
+}
+
+export function symOf(coin) { return source.market(coin.id); }
+
+export function getTicker(sym) {
+  return cached(`t:${source.id}:${sym}`, CACHE_TTL, () => storedTicker(source, sym));
+}
+// Older pages (endTime) go straight to the source; latest candles through the store
+export function getKlines(sym, interval, limit, endTime, src = source) {
+  return cached(`k:${src.id}:${sym}:${interval}:${limit}:${endTime||""}`, CACHE_TTL, () =>
+    endTime ? src.klines(sym, interval, limit, endTime) : storedKlines(src, sym, interval, limit)
+  );
+}
+
+// ── Database ───────────────────────────────────────────
+// The app's one IndexedDB database: prediction history (v1) and the market
+// store (v2). historyDB stays null while it isn't open; what persists in it
+// then goes without.
+export let historyDB = null;
+
+export async function openHistoryDB() {
+  historyDB = await new Promise((resolve, reject) => {
+    const req = indexedDB.open(HISTORY_DB, 2);
+    req.onupgradeneeded = e => {
+      const db = req.result;
+      if (e.oldVersion < 1) {
+        const st = db.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+        st.createIndex("ts", "ts");
+        st.createIndex("coin", ["coin", "ts"]);
+        st.createIndex("due", "due"); // sparse: only entries still waiting on a horizon
+      }
+      if (e.oldVersion < 2) db.createObjectStore(MARKET_STORE, { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+export function closeHistoryDB() {
+  historyDB?.close();
+  historyDB = null;
+}
+
+export function idbReq(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+export function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ── Market Store ───────────────────────────────────────
+// The latest candles of every series fetched, and the last tickers, persist in
+// IndexedDB (one record per source / symbol / interval) so a reload only fetches
+// the candles newer than the stored ones. When a fetch fails the stored copy is
+// served instead and counts as stale until that key fetches again.
+const KLINE_STORE_MAX = 1000;             // candles kept per series
+const MARKET_RETENTION = 7 * 86_400_000;  // records not refreshed for this long are pruned
+const staleKeys = new Map();              // key → when its served copy was fetched
+
+async function readMarket(key) {
+  if (!historyDB) return null;
+  try { return await idbReq(historyDB.transaction(MARKET_STORE).objectStore(MARKET_STORE).get(key)) || null; }
+  catch { return null; }
+}
+function writeMarket(key, data) {
+  if (!historyDB) return;
+  try { historyDB.transaction(MARKET_STORE, "readwrite").objectStore(MARKET_STORE).put({ key, ts: Date.now(), data }); } catch {}
+}
+
+function markFresh(key) { if (staleKeys.delete(key)) onStatus(); }
+function markStale(key, ts) { staleKeys.set(key, ts); onStatus(); }
+export function staleSince() { return staleKeys.size ? Math.min(...staleKeys.values()) : null; }
+
+// Stored series plus the candles since its last one (that one included: it may
+// have still been forming). Too short or too old for the request → fetch it whole.
+async function storedKlines(src, sym, interval, limit) {
+  const key = `k|${src.id}|${sym}|${interval}`;
+  const rec = await readMarket(key);
+  const kl = rec?.data || [], last = kl[kl.length-1], ms = INTERVAL_MS[interval];
+  const tail = last ? Math.ceil((Date.now() - last.t) / ms) + 1 : Infinity;
+  let fresh;
+  try { fresh = await src.klines(sym, interval, kl.length >= limit && tail < limit ? tail : limit); }
+  catch (e) {
+    if (!kl.length) throw e;
+    markStale(key, rec.ts);
+    return kl.slice(-limit);
+  }
+  markFresh(key);
+  // A gap between the stored series and the new candles starts the series over
+  const merged = last && fresh.length && fresh[0].t <= last.t + ms ? [...kl.filter(k => k.t < fresh[0].t), ...fresh] : fresh;
+  writeMarket(key, merged.slice(-KLINE_STORE_MAX));
+  return merged.slice(-limit);
+}
+
+async function storedTicker(src, sym) { return storedSnapshot(`t|${src.id}|${sym}`, () => src.ticker(sym)); }
+export async function storedAllTickers(src) { return storedSnapshot(`a|${src.id}`, () => src.allTickers()); }
+
+async function storedSnapshot(key, fn) {
+  try {
+    const data = await fn();
+    markFresh(key);
+    writeMarket(key, data);
+    return data;
+  } catch (e) {
+    const rec = await readMarket(key);
+    if (!rec) throw e;
+    markStale(key, rec.ts);
+    return rec.data;
+  }
+}
+
+export async function pruneMarket() {
+  const st = historyDB.transaction(MARKET_STORE, "readwrite").objectStore(MARKET_STORE);
+  const cutoff = Date.now() - MARKET_RETENTION;
+  const req = st.openCursor();
+  req.onsuccess = () => { const c = req.result; if (c) { if (c.value.ts < cutoff) c.delete(); c.continue(); } };
+  await idbDone(st.transaction);
+}
+
+// ── Request Queue ──────────────────────────────────────
+// Background scans over many symbols go through a queue: at most `concurrency`
+// requests in flight and at most `budget` request weight per rolling minute.
+// Binance allows 6000 weight / min per IP; a scan keeps well under it so the
+// watched coins and the chart still have room.
+export function createQueue(concurrency, budget, windowMs = 60_000) {
+  const spent = [];   // [ts, weight], oldest first
+  const waiting = [];
+  let active = 0, timer = null;
+  function pump() {
+    timer = null;
+    while (active < concurrency && waiting.length) {
+      const now = Date.now();
+      while (spent.length && now - spent[0][0] >= windowMs) spent.shift();
+      const used = spent.reduce((s, [, w]) => s + w, 0);
+      if (spent.length && used + waiting[0].weight > budget) {
+        timer ||= setTimeout(pump, windowMs - (now - spent[0][0]) + 10);
+        return;
+      }
+      const job = waiting.shift();
+      active++;
+      spent.push([now, job.weight]);
+      job.run().then(job.resolve, job.reject).finally(() => { active--; pump(); });
+    }
+  }
+  return {
+    add(run, weight = 1) { return new Promise((resolve, reject) => { waiting.push({ run, weight, resolve, reject }); pump(); }); },
+    // Drop everything not started yet, e.g. when a newer scan supersedes this one
+    clear() { for (const j of waiting.splice(0)) j.reject(new Error("cancelled")); },
+  };
+}
+
+// Binance klines weight by limit
+function klineWeight(limit) { return limit < 100 ? 1 : limit < 500 ? 2 : limit <= 1000 ? 5 : 10; }
+
+// getKlines through a queue; cache hits skip it since they cost nothing
+export function queuedKlines(queue, sym, interval, limit) {
+  const e = cache.get(`k:${source.id}:${sym}:${interval}:${limit}:`);
+  if (e && Date.now() - e.ts < CACHE_TTL) return Promise.resolve(e.data);
+  return queue.add(() => getKlines(sym, interval, limit), klineWeight(limit));
+}
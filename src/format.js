@@ -0,0 +1,65 @@
+/* ============================================================
+   CryptoPricePredictor — src/format.js
+
+   Display formatting for prices, percentages, times and volumes,
+   and the Korean labels for forecast verdicts.
+   ============================================================ */
+
+import { currency as activeCurrency } from "./state.js";
+
+export function fmtMoney(v, currency = activeCurrency) {
+  if (v == null || isNaN(v)) return "—";
+  const d = v >= 100 ? 2 : v >= 1 ? 3 : 4;
+  const digits = currency === "KRW" ? Math.max(d-2, 0) : d;
+  return new Intl.NumberFormat("en-US", {
+    style: "currency", currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(v);
+}
+// Bare price with precision by magnitude, for alt tickers in any quote currency
+export function fmtPrice(v) {
+  const n = parseFloat(v);
+  if (n >= 1000) return `${n.toFixed(2)}`;
+  if (n >= 1) return `${n.toFixed(3)}`;
+  if (n >= 0.01) return `${n.toFixed(4)}`;
+  return `${n.toFixed(6)}`;
+}
+export function fmtPct(v) { return `${v >= 0 ? "+" : ""}${v.toFixed(2)}%`; }
+export function fmtNum(v, d = 2) { return v == null ? "—" : v.toFixed(d); }
+export function fmtClock(ts) {
+  const d = new Date(ts);
+  return `${String(d.getHours()).padStart(2,"0")}:${String(d.getMinutes()).padStart(2,"0")}`;
+}
+export function fmtTime(ts) {
+  const d = new Date(ts);
+  return `${String(d.getMonth()+1).padStart(2,"0")}/${String(d.getDate()).padStart(2,"0")} ${String(d.getHours()).padStart(2,"0")}:${String(d.getMinutes()).padStart(2,"0")}`;
+}
+// Largest two units, e.g. "3시간 12분", "45초"
+export function fmtDuration(ms) {
+  const units = [[86_400_000, "일"], [3_600_000, "시간"], [60_000, "분"], [1_000, "초"]];
+  const parts = [];
+  let rest = Math.abs(ms);
+  for (const [u, label] of units) {
+    if (rest < u && !(u === 1_000 && !parts.length)) continue;
+    parts.push(`${Math.floor(rest / u)}${label}`);
+    rest %= u;
+    if (parts.length === 2) break;
+  }
+  return parts.join(" ");
+}
+
+// Band as % range around the current price, e.g. "-0.82% ~ +0.41%"
+export function fmtBand([lo, hi], price) {
+  return `${fmtPct((lo-price)/price*100)} ~ ${fmtPct((hi-price)/price*100)}`;
+}
+
+export function fmtVol(v) {
+  const n = parseFloat(v);
+  if (n >= 1e9) return `${(n/1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `${(n/1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n/1e3).toFixed(0)}K`;
+  return `${n.toFixed(0)}`;
+}
+
+export const VERDICT_KO = { bullish: "강세", bearish: "약세", neutral: "중립" };
@@ -0,0 +1,363 @@
+/* ============================================================
+   CryptoPricePredictor — src/history.js
+
+   Prediction history: recording live forecasts, scoring them once
+   their horizon has passed, accuracy / interval coverage stats and
+   the empirical error bands built from past misses.
+   ============================================================ */
+
+import { HISTORY_KEY, HISTORY_RETENTION, HISTORY_STORE, HORIZON_IDS, INTERVAL_MS } from "./config.js";
+import { coinData, horizons } from "./state.js";
+import { SOURCES, closeHistoryDB, getKlines, historyDB, idbDone, idbReq, openHistoryDB, pruneMarket, source } from "./data.js";
+
+// ── History System ─────────────────────────────────────
+// Entry: { id, ts, coin, src, price, preds, actual, actualTs, late, bands, raw, atrPct, due? },
+// every field after price keyed by horizon id. late = actualTs − (ts + horizon);
+// due = when the earliest unresolved horizon can be scored (absent once all are).
+// Entries live in IndexedDB; only the little the live forecast needs synchronously
+// (last record per coin, recent errors for empirical bands) is kept in memory.
+export const historyCoins = new Set();
+export const lastRecorded = {};     // coin → ts of its newest entry
+const bandErrs = new Map();  // "src|coin|h" → recent (actual − forecast) / price, oldest first
+
+export function historyStore(mode = "readonly") {
+  return historyDB.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+// q: { coin?, from?, to? } → index + key range over the ts (per coin) ordering
+function historyRange({ coin, from = 0, to = Infinity }) {
+  return coin
+    ? [historyStore().index("coin"), IDBKeyRange.bound([coin, from], [coin, to])]
+    : [historyStore().index("ts"), IDBKeyRange.bound(from, to)];
+}
+
+// Visits entries in range, newest first unless dir = "next"; fn returning false stops
+export function scanHistory(q, fn, dir = "prev") {
+  return new Promise((resolve, reject) => {
+    const [index, range] = historyRange(q);
+    const req = index.openCursor(range, dir);
+    req.onsuccess = () => {
+      const c = req.result;
+      if (!c || fn(c.value) === false) return resolve();
+      c.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function countHistory(q) {
+  const [index, range] = historyRange(q);
+  return idbReq(index.count(range));
+}
+
+export function pageHistory(q, offset, limit) {
+  return new Promise((resolve, reject) => {
+    const [index, range] = historyRange(q);
+    const req = index.openCursor(range, "prev");
+    const out = [];
+    let skipped = offset === 0;
+    req.onsuccess = () => {
+      const c = req.result;
+      if (!c) return resolve(out);
+      if (!skipped) { skipped = true; return c.advance(offset); }
+      out.push(c.value);
+      out.length < limit ? c.continue() : resolve(out);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function initHistory() {
+  try {
+    await openHistoryDB();
+    await migrateLegacyHistory();
+    await pruneHistory();
+    await pruneMarket();
+    await loadHistoryCaches();
+  } catch(e) {
+    console.error("History store error:", e);
+    closeHistoryDB();
+  }
+}
+
+// One-time move of the old localStorage list into IndexedDB
+async function migrateLegacyHistory() {
+  let legacy;
+  try { legacy = JSON.parse(localStorage.getItem(HISTORY_KEY)); } catch { legacy = null; }
+  if (!Array.isArray(legacy)) return;
+  const st = historyStore("readwrite");
+  for (const e of legacy) st.add(withDue(migrateEntry(e)));
+  await idbDone(st.transaction);
+  try { localStorage.removeItem(HISTORY_KEY); } catch {}
+}
+
+async function pruneHistory() {
+  const st = historyStore("readwrite");
+  const req = st.index("ts").openCursor(IDBKeyRange.upperBound(Date.now() - HISTORY_RETENTION));
+  req.onsuccess = () => { const c = req.result; if (c) { c.delete(); c.continue(); } };
+  await idbDone(st.transaction);
+}
+
+async function loadHistoryCaches() {
+  // Newest entry per coin: hop from coin to coin along the [coin, ts] index
+  await new Promise((resolve, reject) => {
+    const req = historyStore().index("coin").openKeyCursor(null, "prev");
+    req.onsuccess = () => {
+      const c = req.result;
+      if (!c) return resolve();
+      const [coin, ts] = c.key;
+      historyCoins.add(coin);
+      lastRecorded[coin] = ts;
+      c.continue([coin, -Infinity]);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  let n = 0;
+  const recent = [];
+  await scanHistory({}, e => { recent.push(e); return ++n < BAND_SCAN; });
+  for (const e of recent.reverse()) noteErrors(e);
+}
+
+// Entries from before multi-horizon forecasts kept flat pred1m/actual1d/... fields.
+// Their raw/atrPct came from hourly candles for both horizons, so they are
+// dropped rather than fed to calibration as if they matched the new engine.
+export function migrateEntry(e) {
+  if (!e.preds) {
+    const out = { ts: e.ts, coin: e.coin, src: e.src, price: e.price, preds: {}, actual: {}, actualTs: {}, bands: {} };
+    for (const h of ["1m", "1d"]) {
+      if (e[`pred${h}`] == null) continue;
+      out.preds[h] = e[`pred${h}`];
+      out.actual[h] = e[`actual${h}`] ?? null;
+      out.actualTs[h] = e[`actual${h}Ts`] ?? null;
+      if (e.bands?.[h]) out.bands[h] = e.bands[h];
+    }
+    e = out;
+  }
+  // Resolved from the live price whenever a refresh happened to run
+  e.late ||= Object.fromEntries(Object.keys(e.preds).map(h =>
+    [h, e.actualTs[h] != null ? e.actualTs[h] - e.ts - INTERVAL_MS[h] : null]));
+  return e;
+}
+
+// A horizon can be scored once the 1m candle holding its deadline has closed
+function readyAt(e, h) {
+  const target = e.ts + INTERVAL_MS[h];
+  return target - target % 60_000 + 60_000;
+}
+export function withDue(e) {
+  const waits = Object.keys(e.preds).filter(h => e.actual[h] === null).map(h => readyAt(e, h));
+  if (waits.length) e.due = Math.min(...waits);
+  else delete e.due;
+  return e;
+}
+
+// Same source + coin + ts is the same forecast: a later copy only fills in outcomes
+// the first one is still waiting for, never overwrites one. existing maps those keys
+// to stored entries; the ones that gained outcomes come back in put, new ones in add
+// with any duplicates in entries folded into them.
+export function mergeEntries(entries, existing) {
+  const key = e => `${e.src || "binance"}|${e.coin}|${e.ts}`;
+  const add = new Map(), put = new Set();
+  let skipped = 0;
+  for (const e of entries) {
+    const k = key(e);
+    const cur = existing.get(k) || add.get(k);
+    if (!cur) { add.set(k, e); continue; }
+    const fill = Object.keys(e.preds).filter(h => cur.preds[h] != null && cur.actual[h] == null && e.actual[h] != null);
+    if (!fill.length) { skipped++; continue; }
+    for (const h of fill) {
+      cur.actual[h] = e.actual[h];
+      cur.actualTs[h] = e.actualTs[h];
+      (cur.late ||= {})[h] = e.late[h];
+    }
+    withDue(cur);
+    if (existing.has(k)) put.add(cur);
+    else skipped++;
+  }
+  return { add: [...add.values()], put: [...put], skipped };
+}
+
+export function recordPrediction(coinId, price, prediction) {
+  if (!historyDB) return;
+  // Don't record if last record for this coin is < 55s old
+  const now = Date.now();
+  if (now - (lastRecorded[coinId] || 0) < 55_000) return;
+  lastRecorded[coinId] = now;
+  historyCoins.add(coinId);
+
+  const fc = Object.entries(prediction.horizons);
+  const byH = fn => Object.fromEntries(fc.map(([h, f]) => [h, fn(f)]));
+  const entry = withDue({
+    ts: now,
+    coin: coinId,
+    src: source.id,
+    price,
+    preds: byH(f => f.price),
+    actual: byH(() => null),
+    actualTs: byH(() => null),
+    late: byH(() => null),
+    // [lo50, hi50, lo90, hi90], for interval coverage
+    bands: byH(f => [...f.bands.p50, ...f.bands.p90]),
+    // Signal inputs at forecast time, so resolved entries can refit the weights
+    raw: byH(f => Object.fromEntries(Object.entries(f.raw).map(([k, v]) => [k, +v.toPrecision(6)]))),
+    atrPct: byH(f => +f.atrPct.toPrecision(6)),
+  });
+  idbReq(historyStore("readwrite").add(entry)).catch(e => console.error("History write error:", e));
+}
+
+const BAND_EMP_MIN = 20;   // resolved forecasts needed before trusting their error spread
+const BAND_ERR_MAX = 500;  // most recent errors kept per coin / horizon
+const BAND_SCAN    = 5000; // newest entries read on startup to seed them
+
+export function quantile(sorted, q) {
+  const i = (sorted.length-1)*q, lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo);
+}
+
+// Feeds an entry's resolved horizons into the in-memory error windows
+export function noteErrors(e, hs = Object.keys(e.preds)) {
+  for (const h of hs) {
+    if (e.actual[h] == null) continue;
+    const key = `${e.src || "binance"}|${e.coin}|${h}`;
+    const errs = bandErrs.get(key) || [];
+    errs.push((e.actual[h] - e.preds[h]) / e.price);
+    if (errs.length > BAND_ERR_MAX) errs.shift();
+    bandErrs.set(key, errs);
+  }
+}
+
+// Band from this coin's own past misses: quantiles of (actual − forecast) / price
+export function empiricalBand(coinId, h, price, pred) {
+  const errs = [...(bandErrs.get(`${source.id}|${coinId}|${h}`) || [])].sort((a, b) => a - b);
+  if (errs.length < BAND_EMP_MIN) return null;
+  const at = q => pred + price*quantile(errs, q);
+  return { p50: [at(0.25), at(0.75)], p90: [at(0.05), at(0.95)], method: "emp" };
+}
+
+const RESOLVE_BATCH = 500;        // 1m candles per lookup (~8h of deadlines)
+const RESOLVE_TOLERANCE = 60_000; // off the candle holding the deadline → approximate
+
+let resolving = null;
+
+// Each horizon is scored against the close of the 1m candle holding ts + horizon,
+// fetched from the exchange that recorded it, so a closed tab doesn't shift the
+// outcome. Runs on startup and every refresh; overlapping calls share one pass.
+export function resolveHistory() {
+  return resolving ||= resolvePending().finally(() => { resolving = null; });
+}
+
+async function resolvePending() {
+  if (!historyDB) return;
+  const now = Date.now();
+  const due = await idbReq(historyStore().index("due").getAll(IDBKeyRange.upperBound(now)));
+  const groups = new Map(); // "src|coin" → [{ entry, h, target }]
+  for (const entry of due) {
+    for (const h of Object.keys(entry.preds)) {
+      if (entry.actual[h] !== null || now < readyAt(entry, h)) continue;
+      const key = `${entry.src || "binance"}|${entry.coin}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ entry, h, target: entry.ts + INTERVAL_MS[h] });
+    }
+  }
+
+  const changed = new Set();
+  const settle = (j, price, at) => {
+    j.entry.actual[j.h] = price;
+    j.entry.actualTs[j.h] = at;
+    j.entry.late[j.h] = at - j.target;
+    noteErrors(j.entry, [j.h]);
+    changed.add(j.entry);
+  };
+  for (const [key, jobs] of groups) {
+    const [srcId, coinId] = key.split("|");
+    const src = SOURCES[srcId];
+    if (!src) continue;
+    jobs.sort((a, b) => b.target - a.target);
+    while (jobs.length) {
+      let kl;
+      try { kl = await getKlines(src.market(coinId), "1m", RESOLVE_BATCH, jobs[0].target, src); }
+      catch (e) { console.error(`Resolve error (${srcId} ${coinId}):`, e); break; } // retried next refresh
+      if (!kl.length) {
+        // No candles at all: the live price is the best there is, flagged by `late`
+        const price = srcId === source.id ? coinData[coinId]?.ticker?.price : null;
+        if (price != null) for (const j of jobs) settle(j, price, now);
+        break;
+      }
+      const done = jobs.filter(j => j.target >= kl[0].t);
+      for (const j of done) {
+        const k = candleAt(kl, j.target);
+        settle(j, k.c, k.T);
+      }
+      jobs.splice(0, done.length);
+    }
+  }
+  if (!changed.size) return;
+  const st = historyStore("readwrite");
+  for (const e of changed) st.put(withDue(e));
+  await idbDone(st.transaction);
+}
+
+// The candle holding `target`; a minute without trades has no candle, so the
+// closest one by close time stands in
+export function candleAt(kl, target) {
+  return kl.find(k => k.t <= target && target <= k.T)
+    || kl.reduce((a, b) => Math.abs(b.T - target) < Math.abs(a.T - target) ? b : a);
+}
+
+// Outcome not read off the candle holding the deadline
+export function isApprox(e, h) {
+  const late = e.late?.[h];
+  return late != null && (late < 0 || late >= RESOLVE_TOLERANCE);
+}
+
+// 50 / 90 = actual landed inside that (nested) band, 0 = outside, null = no band yet
+export function bandHit(entry, h) {
+  const b = entry.bands?.[h], a = entry.actual[h];
+  if (!b || a == null) return null;
+  return a >= b[0] && a <= b[1] ? 50 : a >= b[2] && a <= b[3] ? 90 : 0;
+}
+
+export function isHit(e, h) {
+  return (e.preds[h] >= e.price ? 1 : -1) === (e.actual[h] >= e.price ? 1 : -1);
+}
+
+// One pass over the range; horizons shown are the enabled ones plus any found in it
+export async function getHistoryStats(q) {
+  let total = 0;
+  const acc = {};
+  await scanHistory(q, e => {
+    total++;
+    for (const h of Object.keys(e.preds)) {
+      const a = acc[h] ||= { n: 0, hits: 0, err: 0, banded: 0, in50: 0, in90: 0, approx: 0 };
+      if (e.actual[h] == null) continue;
+      a.n++;
+      if (isHit(e, h)) a.hits++;
+      a.err += Math.abs(e.preds[h] - e.actual[h]) / e.price * 100;
+      const b = bandHit(e, h);
+      if (b !== null) { a.banded++; if (b === 50) a.in50++; if (b > 0) a.in90++; }
+      if (isApprox(e, h)) a.approx++;
+    }
+  });
+  const byHorizon = {};
+  for (const h of HORIZON_IDS.filter(h => horizons.includes(h) || acc[h])) {
+    const a = acc[h] || { n: 0 };
+    byHorizon[h] = {
+      resolved: a.n,
+      accuracy: a.n > 0 ? a.hits / a.n * 100 : null,
+      avgErr: a.n > 0 ? a.err / a.n : null,
+      cover: a.banded ? { n: a.banded, in50: a.in50 / a.banded * 100, in90: a.in90 / a.banded * 100 } : null,
+      approx: a.approx || 0,
+    };
+  }
+  return { total, horizons: byHorizon };
+}
+
+export async function clearHistory() {
+  if (!historyDB) return;
+  const st = historyStore("readwrite");
+  st.clear();
+  await idbDone(st.transaction);
+  historyCoins.clear();
+  bandErrs.clear();
+  for (const k of Object.keys(lastRecorded)) delete lastRecorded[k];
+}
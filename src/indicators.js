@@ -0,0 +1,286 @@
+/* ============================================================
+   CryptoPricePredictor — src/indicators.js
+
+   Technical indicators over plain number arrays, oldest first.
+   Series outputs line up index-for-index with their input.
+   ============================================================ */
+
+// ── Technical Indicators ───────────────────────────────
+export function ema(data, period) {
+  const k = 2 / (period + 1), r = [data[0]];
+  for (let i = 1; i < data.length; i++) r.push(data[i] * k + r[i-1] * (1-k));
+  return r;
+}
+
+export function sma(data, period) {
+  const r = [];
+  for (let i = 0; i < data.length; i++) {
+    if (i < period - 1) { r.push(null); continue; }
+    let s = 0; for (let j = i - period + 1; j <= i; j++) s += data[j];
+    r.push(s / period);
+  }
+  return r;
+}
+
+export function calcRSI(data, period = 14) {
+  if (data.length < period + 1) return { value: 50, series: [] };
+  const series = [];
+  let gS = 0, lS = 0;
+  for (let i = 1; i <= period; i++) { const d = data[i]-data[i-1]; d >= 0 ? gS += d : lS -= d; }
+  let ag = gS/period, al = lS/period;
+  for (let i = 0; i <= period; i++) series.push(50);
+  for (let i = period+1; i < data.length; i++) {
+    const d = data[i]-data[i-1];
+    ag = (ag*(period-1) + Math.max(d,0))/period;
+    al = (al*(period-1) + Math.max(-d,0))/period;
+    series.push(al === 0 ? 100 : 100 - 100/(1 + ag/al));
+  }
+  return { value: series[series.length-1], series };
+}
+
+export function calcMACD(data) {
+  const e12 = ema(data,12), e26 = ema(data,26);
+  const line = e12.map((v,i) => v - e26[i]);
+  const sig = ema(line,9);
+  const hist = line.map((v,i) => v - sig[i]);
+  return { line: line[line.length-1], signal: sig[sig.length-1], histogram: hist[hist.length-1], lineSeries: line, signalSeries: sig, histSeries: hist };
+}
+
+export function calcBollinger(data, period = 20, mult = 2) {
+  const mid = sma(data, period), upper = [], lower = [];
+  for (let i = 0; i < data.length; i++) {
+    if (mid[i] === null) { upper.push(null); lower.push(null); continue; }
+    let v = 0; for (let j = i-period+1; j<=i; j++) v += (data[j]-mid[i])**2;
+    const std = Math.sqrt(v/period);
+    upper.push(mid[i]+mult*std); lower.push(mid[i]-mult*std);
+  }
+  const lu = upper[upper.length-1]||data[data.length-1]*1.02;
+  const ll = lower[lower.length-1]||data[data.length-1]*0.98;
+  const lm = mid[mid.length-1]||data[data.length-1];
+  return { upper, mid, lower, bbWidth: (lu-ll)/lm, pctB: (data[data.length-1]-ll)/(lu-ll||1), lastUpper: lu, lastLower: ll, lastMid: lm };
+}
+
+export function calcStochastic(highs, lows, closes, kP = 14, dP = 3) {
+  const kV = [];
+  for (let i = 0; i < closes.length; i++) {
+    if (i < kP-1) { kV.push(50); continue; }
+    let hh = -Infinity, ll = Infinity;
+    for (let j = i-kP+1; j<=i; j++) { hh = Math.max(hh,highs[j]); ll = Math.min(ll,lows[j]); }
+    kV.push(hh===ll ? 50 : ((closes[i]-ll)/(hh-ll))*100);
+  }
+  const dV = sma(kV.map(v=>v??50), dP);
+  return { k: kV[kV.length-1], d: dV[dV.length-1]??50, kSeries: kV, dSeries: dV };
+}
+
+export function calcATR(highs, lows, closes, period = 14) {
+  const trs = [highs[0]-lows[0]];
+  for (let i = 1; i < closes.length; i++)
+    trs.push(Math.max(highs[i]-lows[i], Math.abs(highs[i]-closes[i-1]), Math.abs(lows[i]-closes[i-1])));
+  const atr = ema(trs, period);
+  return { value: atr[atr.length-1], series: atr };
+}
+
+// Volume-weighted typical price, restarting at every anchorMs boundary (UTC)
+export function calcVWAP(highs, lows, closes, vols, times, anchorMs = 86_400_000) {
+  const series = [];
+  let pv = 0, vs = 0, session = null;
+  for (let i = 0; i < closes.length; i++) {
+    const s = Math.floor(times[i] / anchorMs);
+    if (s !== session) { session = s; pv = 0; vs = 0; }
+    const tp = (highs[i]+lows[i]+closes[i])/3, v = vols[i] || 0;
+    pv += tp*v; vs += v;
+    series.push(vs > 0 ? pv/vs : tp);
+  }
+  return { value: series[series.length-1], series };
+}
+// Daily sessions for intraday candles, ~monthly ones for daily and longer
+export function vwapAnchor(intervalMs) { return intervalMs < 86_400_000 ? 86_400_000 : 30*86_400_000; }
+
+// spanA/spanB are already shifted forward by `shift`: index i is the cloud under
+// bar i, and the last `shift` entries (past the series) are the future cloud
+export function calcIchimoku(highs, lows, conv = 9, base = 26, spanP = 52, shift = 26) {
+  const mid = (p, i) => {
+    if (i < p-1) return null;
+    let hh = -Infinity, ll = Infinity;
+    for (let j = i-p+1; j<=i; j++) { hh = Math.max(hh,highs[j]); ll = Math.min(ll,lows[j]); }
+    return (hh+ll)/2;
+  };
+  const n = highs.length, tenkan = [], kijun = [];
+  const spanA = new Array(n+shift).fill(null), spanB = new Array(n+shift).fill(null);
+  for (let i = 0; i < n; i++) {
+    tenkan.push(mid(conv,i)); kijun.push(mid(base,i));
+    if (tenkan[i] !== null && kijun[i] !== null) spanA[i+shift] = (tenkan[i]+kijun[i])/2;
+    spanB[i+shift] = mid(spanP,i);
+  }
+  return { tenkan, kijun, spanA, spanB };
+}
+
+// Wilder's directional movement: +DI / −DI and their smoothed spread (ADX)
+export function calcADX(highs, lows, closes, period = 14) {
+  const plus = [null], minus = [null], adx = [null], dxs = [];
+  let tr = 0, pdm = 0, mdm = 0, avg = null;
+  for (let i = 1; i < closes.length; i++) {
+    const up = highs[i]-highs[i-1], dn = lows[i-1]-lows[i];
+    const t = Math.max(highs[i]-lows[i], Math.abs(highs[i]-closes[i-1]), Math.abs(lows[i]-closes[i-1]));
+    const p = up > dn && up > 0 ? up : 0, m = dn > up && dn > 0 ? dn : 0;
+    if (i <= period) { tr += t; pdm += p; mdm += m; }
+    else { tr += t - tr/period; pdm += p - pdm/period; mdm += m - mdm/period; }
+    if (i < period) { plus.push(null); minus.push(null); adx.push(null); continue; }
+    const pdi = tr ? pdm/tr*100 : 0, mdi = tr ? mdm/tr*100 : 0;
+    const dx = pdi+mdi ? Math.abs(pdi-mdi)/(pdi+mdi)*100 : 0;
+    if (avg === null) { dxs.push(dx); if (dxs.length === period) avg = dxs.reduce((s,v)=>s+v,0)/period; }
+    else avg = (avg*(period-1) + dx)/period;
+    plus.push(pdi); minus.push(mdi); adx.push(avg);
+  }
+  const last = s => s[s.length-1] ?? null;
+  return { adx: last(adx), plusDI: last(plus), minusDI: last(minus), series: adx, plusSeries: plus, minusSeries: minus };
+}
+
+export function calcOBV(closes, vols) {
+  const series = [0];
+  for (let i = 1; i < closes.length; i++)
+    series.push(series[i-1] + Math.sign(closes[i]-closes[i-1]) * (vols[i] || 0));
+  return { value: series[series.length-1], series };
+}
+
+// Parabolic SAR; trendSeries is +1 while the SAR trails below price, −1 above
+export function calcPSAR(highs, lows, step = 0.02, maxStep = 0.2) {
+  const n = highs.length, series = [null], trendSeries = [1];
+  if (n < 2) return { value: null, trend: 0, series: series.slice(0,n), trendSeries: trendSeries.slice(0,n) };
+  let up = highs[1] >= highs[0], sar = up ? lows[0] : highs[0], ep = up ? highs[0] : lows[0], af = step;
+  trendSeries[0] = up ? 1 : -1;
+  for (let i = 1; i < n; i++) {
+    sar += af*(ep - sar);
+    if (up) {
+      sar = Math.min(sar, lows[i-1], lows[i-2] ?? lows[i-1]);
+      if (lows[i] < sar) { up = false; sar = ep; ep = lows[i]; af = step; }
+      else if (highs[i] > ep) { ep = highs[i]; af = Math.min(af+step, maxStep); }
+    } else {
+      sar = Math.max(sar, highs[i-1], highs[i-2] ?? highs[i-1]);
+      if (highs[i] > sar) { up = true; sar = ep; ep = highs[i]; af = step; }
+      else if (lows[i] < ep) { ep = lows[i]; af = Math.min(af+step, maxStep); }
+    }
+    series.push(sar); trendSeries.push(up ? 1 : -1);
+  }
+  return { value: sar, trend: up ? 1 : -1, series, trendSeries };
+}
+
+// ATR bands around hl2 that only tighten while price stays on their side;
+// the line is the lower band in an uptrend, the upper one in a downtrend
+export function calcSupertrend(highs, lows, closes, period = 10, mult = 3) {
+  const atr = calcATR(highs, lows, closes, period).series;
+  const series = [], trendSeries = [];
+  let upper = null, lower = null, up = true;
+  for (let i = 0; i < closes.length; i++) {
+    const hl2 = (highs[i]+lows[i])/2, bu = hl2 + mult*atr[i], bl = hl2 - mult*atr[i];
+    upper = upper === null || bu < upper || closes[i-1] > upper ? bu : upper;
+    lower = lower === null || bl > lower || closes[i-1] < lower ? bl : lower;
+    if (i > 0) up = up ? closes[i] >= lower : closes[i] > upper;
+    series.push(up ? lower : upper); trendSeries.push(up ? 1 : -1);
+  }
+  return { value: series[series.length-1], trend: trendSeries[trendSeries.length-1], series, trendSeries };
+}
+
+// Retracements between the swing high and low of the last `lookback` bars.
+// up: the low came first, so levels measure the pullback from the high.
+export const FIB_RATIOS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+export function calcFibonacci(highs, lows, lookback = 100) {
+  const from = Math.max(0, highs.length - lookback);
+  let hi = from, lo = from;
+  for (let i = from; i < highs.length; i++) { if (highs[i] > highs[hi]) hi = i; if (lows[i] < lows[lo]) lo = i; }
+  const high = highs[hi], low = lows[lo], up = lo < hi;
+  return { high, low, up, hiIdx: hi, loIdx: lo,
+    levels: FIB_RATIOS.map(r => ({ ratio: r, price: up ? high - (high-low)*r : low + (high-low)*r })) };
+}
+
+// Candlestick patterns, one per bar at the bar that completes it (multi-bar
+// patterns win). "Big" bodies beat the 10-bar average body and half the range;
+// a hammer needs the close to have fallen over the three bars before it.
+export const CANDLE_PATTERNS = {
+  morningStar: { name: "샛별형",     dir:  1 },
+  eveningStar: { name: "석별형",     dir: -1 },
+  soldiers:    { name: "적삼병",     dir:  1 },
+  crows:       { name: "흑삼병",     dir: -1 },
+  engulfBull:  { name: "상승장악형", dir:  1 },
+  engulfBear:  { name: "하락장악형", dir: -1 },
+  hammer:      { name: "망치형",     dir:  1 },
+  doji:        { name: "도지",       dir:  0 },
+};
+export function detectPatterns(opens, highs, lows, closes) {
+  const body = i => Math.abs(closes[i]-opens[i]), range = i => highs[i]-lows[i];
+  const bull = i => closes[i] > opens[i], bear = i => closes[i] < opens[i];
+  const avgBody = [];
+  let sum = 0;
+  for (let i = 0; i < closes.length; i++) {
+    avgBody.push(i ? sum/Math.min(i,10) : body(0));
+    sum += body(i); if (i >= 10) sum -= body(i-10);
+  }
+  const big = i => body(i) >= avgBody[i] && body(i) >= 0.5*range(i);
+  const solid = i => body(i) >= 0.5*range(i);
+  const within = (v, a, b) => v >= Math.min(a,b) && v <= Math.max(a,b);
+
+  const out = [];
+  for (let i = 1; i < closes.length; i++) {
+    if (!range(i)) continue;
+    const star = i >= 2 && big(i-2) && body(i-1) <= 0.3*body(i-2), mid2 = i >= 2 ? (opens[i-2]+closes[i-2])/2 : 0;
+    const three = dir => i >= 2 && [i-2,i-1,i].every(j => (dir > 0 ? bull(j) : bear(j)) && solid(j))
+      && (closes[i]-closes[i-1])*dir > 0 && (closes[i-1]-closes[i-2])*dir > 0
+      && within(opens[i-1], opens[i-2], closes[i-2]) && within(opens[i], opens[i-1], closes[i-1]);
+    let key = null;
+    if (star && bear(i-2) && bull(i) && closes[i] > mid2) key = "morningStar";
+    else if (star && bull(i-2) && bear(i) && closes[i] < mid2) key = "eveningStar";
+    else if (three(1)) key = "soldiers";
+    else if (three(-1)) key = "crows";
+    else if (bear(i-1) && bull(i) && opens[i] <= closes[i-1] && closes[i] >= opens[i-1] && body(i) > body(i-1)) key = "engulfBull";
+    else if (bull(i-1) && bear(i) && opens[i] >= closes[i-1] && closes[i] <= opens[i-1] && body(i) > body(i-1)) key = "engulfBear";
+    else if (body(i) <= 0.1*range(i)) key = "doji";
+    else if (Math.min(opens[i],closes[i])-lows[i] >= 2*body(i) && highs[i]-Math.max(opens[i],closes[i]) <= 0.5*body(i)
+             && i >= 3 && closes[i-1] < closes[i-3]) key = "hammer";
+    if (key) out.push({ i, key });
+  }
+  return out;
+}
+
+// Support / resistance zones from swing pivots (a high or low not exceeded
+// within SR_PIVOT bars either side) and volume-profile peaks, merged while
+// closer than half an ATR. strength: 1 per pivot touch, 2 per volume peak.
+export const SR_PIVOT = 3, SR_BINS = 40, SR_MAX = 6, SR_STRONG = 3;
+export function findLevels(highs, lows, closes, vols, atr) {
+  const n = closes.length, cand = [];
+  for (let i = SR_PIVOT; i < n-SR_PIVOT; i++) {
+    let isH = true, isL = true;
+    for (let j = i-SR_PIVOT; j <= i+SR_PIVOT; j++) {
+      if (j === i) continue;
+      if (highs[j] > highs[i]) isH = false;
+      if (lows[j] < lows[i]) isL = false;
+    }
+    if (isH) cand.push({ price: highs[i], w: 1 });
+    if (isL) cand.push({ price: lows[i], w: 1 });
+  }
+
+  // Volume profile: each candle's volume spread evenly over the bins its range covers
+  const lo = Math.min(...lows), step = (Math.max(...highs)-lo)/SR_BINS;
+  if (step > 0) {
+    const bins = new Array(SR_BINS).fill(0), bin = v => Math.min(SR_BINS-1, Math.floor((v-lo)/step));
+    for (let i = 0; i < n; i++) {
+      const a = bin(lows[i]), b = bin(highs[i]);
+      for (let j = a; j <= b; j++) bins[j] += (vols[i]||0)/(b-a+1);
+    }
+    const mean = bins.reduce((s,v)=>s+v,0)/SR_BINS;
+    for (let j = 0; j < SR_BINS; j++)
+      if (mean && bins[j] > 1.5*mean && bins[j] >= (bins[j-1] ?? 0) && bins[j] >= (bins[j+1] ?? 0))
+        cand.push({ price: lo+(j+0.5)*step, w: 2, vol: true });
+  }
+
+  const price = closes[n-1], tol = Math.max(atr*0.5, price*0.002), zones = [];
+  for (const c of cand.sort((a,b)=>a.price-b.price)) {
+    const z = zones[zones.length-1];
+    if (z && c.price-z.hi <= tol && c.price-z.lo <= 2*tol) {
+      z.hi = c.price; z.strength += c.w; z.sum += c.price*c.w; z.vol ||= !!c.vol;
+    } else zones.push({ lo: c.price, hi: c.price, strength: c.w, sum: c.price*c.w, vol: !!c.vol });
+  }
+  return zones.map(z => {
+    const mid = z.sum/z.strength;
+    return { lo: z.lo, hi: z.hi, price: mid, strength: z.strength, vol: z.vol, kind: mid >= price ? "resistance" : "support" };
+  }).sort((a,b)=>b.strength-a.strength).slice(0, SR_MAX);
+}
@@ -0,0 +1,395 @@
+/* ============================================================
+   CryptoPricePredictor — src/prediction.js
+
+   The forecast model: default weights and presets, the signal
+   engine that turns candles into per-horizon forecasts, the
+   multi-timeframe confluence score and the walk-forward backtest
+   replay. Pure functions of their arguments; no DOM, no network.
+   ============================================================ */
+
+import { DEFAULT_HORIZONS, HORIZON_IDS, HORIZON_LIMIT } from "./config.js";
+import { CANDLE_PATTERNS, SR_STRONG, calcADX, calcATR, calcBollinger, calcFibonacci, calcIchimoku, calcMACD, calcOBV, calcPSAR, calcRSI, calcStochastic, calcSupertrend, calcVWAP, detectPatterns, ema, findLevels, vwapAnchor } from "./indicators.js";
+
+// ── Model ──────────────────────────────────────────────
+export const MODEL_SIGNALS = ["EMA", "RSI", "MACD", "BB", "Stoch", "MeanRev", "Volume", "OBV", "Taker", "VWMom"];
+// Extended set, mixed in only when a model sets `extras`
+export const EXTRA_SIGNALS = ["VWAP", "Ichimoku", "ADX", "PSAR", "Supertrend", "Fib", "Pattern"];
+export const ALL_SIGNALS = [...MODEL_SIGNALS, ...EXTRA_SIGNALS];
+// Defaults for signals the presets below don't spell out
+const VOLUME_WEIGHTS = { Volume: 0.05, OBV: 0.05, Taker: 0.05, VWMom: 0.10 };
+const EXTRA_WEIGHTS = { VWAP: 0.10, Ichimoku: 0.10, ADX: 0.10, PSAR: 0.05, Supertrend: 0.10, Fib: 0.05, Pattern: 0.05 };
+
+export function signalKeys(m = DEFAULT_MODEL) { return m.extras ? ALL_SIGNALS : MODEL_SIGNALS; }
+
+// Short horizons (≤ 15m) take `short`, 1d/1w take `long`, 1h/4h the midpoint
+function weightsByHorizon(short, long) {
+  short = { ...VOLUME_WEIGHTS, ...EXTRA_WEIGHTS, ...short }; long = { ...VOLUME_WEIGHTS, ...EXTRA_WEIGHTS, ...long };
+  const mid = Object.fromEntries(ALL_SIGNALS.map(k => [k, +((short[k] + long[k]) / 2).toFixed(3)]));
+  return { "1m": short, "5m": short, "15m": short, "1h": mid, "4h": mid, "1d": long, "1w": long };
+}
+
+// w: per-horizon, per-signal ensemble weights. Thresholds are the zone cutoffs;
+// atr/cap turn the raw ensemble into a move of at most cap (fraction of price),
+// scaled by the ATR of the horizon's own candle interval.
+export const DEFAULT_MODEL = {
+  w: weightsByHorizon(
+    { EMA: 0.30, RSI: 0.10, MACD: 0.25, BB: 0.15, Stoch: 0.10, MeanRev: 0.05 },
+    { EMA: 0.20, RSI: 0.15, MACD: 0.15, BB: 0.15, Stoch: 0.10, MeanRev: 0.20 },
+  ),
+  atr: { "1m": 60, "5m": 45, "15m": 38, "1h": 30, "4h": 23, "1d": 16, "1w": 11 },
+  cap: { "1m": 0.03, "5m": 0.04, "15m": 0.05, "1h": 0.06, "4h": 0.08, "1d": 0.15, "1w": 0.25 },
+  rsiHigh: 75, rsiSoftHigh: 60, rsiSoftLow: 40, rsiLow: 25,
+  bbHigh: 0.95, bbLow: 0.05,
+  stochHigh: 80, stochLow: 20,
+  extras: false,
+  srCap: true, // stop forecasts at the first strong support / resistance zone in their way
+};
+
+export const BUILTIN_PRESETS = {
+  "기본": DEFAULT_MODEL,
+  "추세 추종": {
+    ...DEFAULT_MODEL,
+    w: weightsByHorizon(
+      { EMA: 0.40, RSI: 0.05, MACD: 0.35, BB: 0.05, Stoch: 0.10, MeanRev: 0.00 },
+      { EMA: 0.40, RSI: 0.05, MACD: 0.30, BB: 0.05, Stoch: 0.05, MeanRev: 0.05 },
+    ),
+  },
+  "역추세": {
+    ...DEFAULT_MODEL,
+    w: weightsByHorizon(
+      { EMA: 0.10, RSI: 0.25, MACD: 0.10, BB: 0.30, Stoch: 0.20, MeanRev: 0.05 },
+      { EMA: 0.05, RSI: 0.25, MACD: 0.05, BB: 0.25, Stoch: 0.10, MeanRev: 0.30 },
+    ),
+    rsiHigh: 70, rsiSoftHigh: 55, rsiSoftLow: 45, rsiLow: 30,
+  },
+};
+
+// Fill gaps from DEFAULT_MODEL so presets saved by older versions keep working.
+// Pre-horizon presets had w1m/w1d; their atr*/cap* were relative to hourly ATR
+// and no longer mean the same thing, so those fall back to the defaults.
+export function normalizeModel(m) {
+  const num = (v, d) => Number.isFinite(+v) && v !== null && v !== "" ? +v : d;
+  const legacy = { "1m": m?.w1m, "1d": m?.w1d };
+  const perH = fn => Object.fromEntries(HORIZON_IDS.map(h => [h, fn(h)]));
+  const out = {
+    w: perH(h => {
+      const src = m?.w?.[h] || legacy[h];
+      return Object.fromEntries(ALL_SIGNALS.map(s => [s, num(src?.[s], DEFAULT_MODEL.w[h][s])]));
+    }),
+    atr: perH(h => num(m?.atr?.[h], DEFAULT_MODEL.atr[h])),
+    cap: perH(h => num(m?.cap?.[h], DEFAULT_MODEL.cap[h])),
+    extras: m?.extras === true,
+    srCap: m?.srCap !== false,
+  };
+  for (const [k, d] of Object.entries(DEFAULT_MODEL)) if (typeof d === "number") out[k] = num(m?.[k], d);
+  return out;
+}
+
+// ── Prediction Engine v2 ──────────────────────────────
+const BAND_Z = { p50: 0.674, p90: 1.645 }; // two-sided normal quantiles
+
+// Volatility band: ±z·σ around the point forecast
+function atrBand(pred, sigma) {
+  return {
+    p50: [pred - BAND_Z.p50*sigma, pred + BAND_Z.p50*sigma],
+    p90: [pred - BAND_Z.p90*sigma, pred + BAND_Z.p90*sigma],
+    method: "atr",
+  };
+}
+
+// Indicator snapshot and raw signals for one candle series (bars, oldest first).
+// dCloses (recent daily closes) feed the mean-reversion signal whatever the
+// series' interval. `now` decides whether the last bar is still forming.
+export function analyzeSeries(price, bars, dCloses, m = DEFAULT_MODEL, now = Infinity) {
+  const hCloses = bars.map(k=>k.c), hHighs = bars.map(k=>k.h), hLows = bars.map(k=>k.l);
+  const vol = volumeSignals(bars, now);
+  // Trend signals are scaled by volume confirmation (vol.conf, 0.5–1.5)
+  const ema8 = ema(hCloses,8), ema21 = ema(hCloses,21), ema50 = ema(hCloses,50);
+  const emaCross821  = (ema8[ema8.length-1]-ema21[ema21.length-1])/price;
+  const emaCross2150 = (ema21[ema21.length-1]-ema50[ema50.length-1])/price;
+  const emaSignal = (emaCross821*0.6 + emaCross2150*0.4) * vol.conf;
+
+  const rsiData = calcRSI(hCloses,14);
+  let rsiSignal = 0;
+  // Strong zones measure from 5 pts inside their cutoff (75 → 70, 25 → 30)
+  if (rsiData.value > m.rsiHigh) rsiSignal = -(rsiData.value-(m.rsiHigh-5))/100;
+  else if (rsiData.value > m.rsiSoftHigh) rsiSignal = -(rsiData.value-m.rsiSoftHigh)/200;
+  else if (rsiData.value < m.rsiLow) rsiSignal = ((m.rsiLow+5)-rsiData.value)/100;
+  else if (rsiData.value < m.rsiSoftLow) rsiSignal = (m.rsiSoftLow-rsiData.value)/200;
+
+  const macd = calcMACD(hCloses);
+  const macdSignal = macd.histogram / price * vol.conf;
+
+  const bb = calcBollinger(hCloses,20,2);
+  let bbSignal = 0;
+  if (bb.pctB > m.bbHigh) bbSignal = -(bb.pctB-(m.bbHigh-0.15))*0.5;
+  else if (bb.pctB < m.bbLow) bbSignal = ((m.bbLow+0.15)-bb.pctB)*0.5;
+  else bbSignal = (0.5-bb.pctB)*0.1;
+
+  const stoch = calcStochastic(hHighs, hLows, hCloses, 14, 3);
+  let stochSignal = 0;
+  if (stoch.k > m.stochHigh && stoch.k > stoch.d) stochSignal = -0.02;
+  else if (stoch.k < m.stochLow && stoch.k < stoch.d) stochSignal = 0.02;
+
+  const atr = calcATR(hHighs, hLows, hCloses, 14);
+  const atrPct = atr.value / price;
+  const levels = findLevels(hHighs, hLows, hCloses, bars.map(k=>k.v), atr.value);
+
+  const dailyAvg = dCloses.reduce((s,v)=>s+v,0)/dCloses.length;
+  const meanRevSignal = (dailyAvg-price)/dailyAvg;
+
+  const raw = { EMA: emaSignal, RSI: rsiSignal, MACD: macdSignal, BB: bbSignal, Stoch: stochSignal, MeanRev: meanRevSignal,
+    ...vol.raw, ...extraSignals(price, bars, hCloses, hHighs, hLows) };
+  const dir = v => v>0?"bullish":v<0?"bearish":"neutral";
+
+  const signals = {
+    EMA:     { value: emaSignal,      direction: emaSignal>=0?"bullish":"bearish", strength: Math.min(Math.abs(emaSignal)*500,100) },
+    RSI:     { value: rsiData.value,   direction: rsiSignal>0?"bullish":rsiSignal<0?"bearish":"neutral", strength: Math.min(Math.abs(rsiSignal)*400,100) },
+    MACD:    { value: macd.histogram,  direction: macd.histogram>=0?"bullish":"bearish", strength: Math.min(Math.abs(macdSignal)*2000,100) },
+    BB:      { value: bb.pctB,         direction: bbSignal>0?"bullish":bbSignal<0?"bearish":"neutral", strength: Math.min(Math.abs(bbSignal)*300,100) },
+    Stoch:   { value: stoch.k,         direction: stochSignal>0?"bullish":stochSignal<0?"bearish":"neutral", strength: Math.abs(stochSignal)*2500 },
+    ATR:     { value: atr.value,       direction: "neutral", strength: Math.min(atrPct*1000,100) },
+    MeanRev: { value: meanRevSignal,   direction: meanRevSignal>0?"bullish":"bearish", strength: Math.min(Math.abs(meanRevSignal)*300,100) },
+    Volume:  { value: vol.ratio,       direction: dir(raw.Volume), strength: Math.min(Math.max(vol.ratio-1,0)*50,100) },
+    OBV:     { value: raw.OBV,         direction: dir(raw.OBV), strength: Math.min(Math.abs(raw.OBV)*4000,100) },
+    Taker:   { value: vol.buyShare,    direction: dir(raw.Taker), strength: vol.buyShare==null ? 0 : Math.min(Math.abs(vol.buyShare-0.5)*400,100) },
+    VWMom:   { value: raw.VWMom,       direction: dir(raw.VWMom), strength: Math.min(Math.abs(raw.VWMom)*1000,100) },
+  };
+
+  // The extended set is always in raw (so history can calibrate it later) but
+  // only counts toward the verdict and dashboard when the model opts in
+  if (m.extras) {
+    const strength = (k, f) => ({ value: raw[k], direction: dir(raw[k]), strength: Math.min(Math.abs(raw[k])*f, 100) });
+    Object.assign(signals, {
+      VWAP: strength("VWAP", 500), Ichimoku: strength("Ichimoku", 500), ADX: strength("ADX", 5000),
+      PSAR: strength("PSAR", 1000), Supertrend: strength("Supertrend", 1000), Fib: strength("Fib", 10000),
+      Pattern: strength("Pattern", 15000),
+    });
+  }
+
+  const bull = Object.values(signals).filter(s=>s.direction==="bullish").length;
+  const bear = Object.values(signals).filter(s=>s.direction==="bearish").length;
+  const overall = bull > bear ? "bullish" : bear > bull ? "bearish" : "neutral";
+
+  return {
+    rsi: rsiData.value, macd, bb, stoch, atr: atr.value, atrPct,
+    ema8Last: ema8[ema8.length-1], ema21Last: ema21[ema21.length-1], ema50Last: ema50[ema50.length-1],
+    signals, overall, raw, volume: { ratio: vol.ratio, buyShare: vol.buyShare, conf: vol.conf }, levels,
+  };
+}
+
+// Volume signals, all on closed bars as of `now` (a still-forming candle only
+// has part of its volume): the last bar's volume against the 20 before it, signed by that
+// bar's direction; OBV against its 20-bar EMA; the taker-buy share of the last
+// 20 bars (Binance only, neutral elsewhere); and the 10-bar return with each
+// bar weighted by its relative volume. conf is the recent volume ratio that
+// scales the trend signals, so a breakout on thin volume counts for less than
+// a confirmed one.
+const VOL_AVG = 20;
+function volumeSignals(bars, now) {
+  const end = bars.length > 1 && bars[bars.length-1].T > now ? bars.length-1 : bars.length;
+  if (!end) return { raw: { Volume: 0, OBV: 0, Taker: 0, VWMom: 0 }, ratio: 1, buyShare: null, conf: 1 };
+  const vols = bars.map(k=>k.v||0);
+  const avg = (a, b) => { a = Math.max(0, a); let s = 0; for (let i = a; i < b; i++) s += vols[i]; return b > a ? s/(b-a) : 0; };
+  const base = avg(end-1-VOL_AVG, end-1);
+  const rel = i => base ? vols[i]/base : 1;
+
+  const last = bars[end-1], ratio = rel(end-1);
+  const spike = Math.sign(last.c-last.o) * Math.min(Math.max(ratio-1, 0), 3) * 0.005;
+  const conf = Math.min(Math.max(base ? avg(end-3, end)/base : 1, 0.5), 1.5);
+
+  const obv = calcOBV(bars.slice(0,end).map(k=>k.c), vols.slice(0,end)).series, obvE = ema(obv, VOL_AVG);
+  const volSum = vols.slice(Math.max(0, end-VOL_AVG), end).reduce((s,v)=>s+v,0);
+  const obvSignal = volSum ? (obv[end-1]-obvE[end-1])/volSum*0.05 : 0;
+
+  const win = bars.slice(Math.max(0, end-VOL_AVG), end);
+  const buyShare = volSum && win.every(k => k.V != null) ? win.reduce((s,k)=>s+k.V,0)/volSum : null;
+
+  let mom = 0;
+  for (let i = Math.max(1, end-10); i < end; i++) mom += (bars[i].c/bars[i-1].c - 1) * rel(i);
+
+  return {
+    raw: { Volume: spike, OBV: obvSignal, Taker: buyShare == null ? 0 : (buyShare-0.5)*0.1, VWMom: mom },
+    ratio, buyShare, conf,
+  };
+}
+
+// Raw extended signals, all fractions of price (≈ ±0.01 for a clear setup):
+// distance above VWAP / the Ichimoku cloud / PSAR / Supertrend, the DI spread
+// weighted by ADX, a pull toward the trend inside the Fibonacci 38.2–61.8%
+// pocket, and candlestick patterns of the last three bars (newest counts most)
+function extraSignals(price, bars, closes, highs, lows) {
+  const vols = bars.map(k=>k.v||0), n = closes.length;
+  const iv = n > 1 ? bars[1].t - bars[0].t : 86_400_000;
+  const vwap = calcVWAP(highs, lows, closes, vols, bars.map(k=>k.t), vwapAnchor(iv)).value;
+
+  const ichi = calcIchimoku(highs, lows);
+  const a = ichi.spanA[n-1], b = ichi.spanB[n-1], t = ichi.tenkan[n-1], k = ichi.kijun[n-1];
+  let ichiSignal = 0;
+  if (a !== null && b !== null) {
+    const top = Math.max(a,b), bot = Math.min(a,b);
+    ichiSignal = price > top ? (price-top)/price : price < bot ? (price-bot)/price : 0;
+  }
+  if (t !== null && k !== null) ichiSignal += (t-k)/price*0.5;
+
+  const adx = calcADX(highs, lows, closes, 14);
+  const adxSignal = adx.adx === null ? 0 : (adx.plusDI-adx.minusDI)/100 * Math.min(adx.adx,50)/50 * 0.1;
+
+  const psar = calcPSAR(highs, lows).value;
+  const st = calcSupertrend(highs, lows, closes).value;
+
+  const fib = calcFibonacci(highs, lows);
+  const range = fib.high - fib.low;
+  let fibSignal = 0;
+  if (range > 0) {
+    const depth = fib.up ? (fib.high-price)/range : (price-fib.low)/range;
+    fibSignal = (fib.up ? 1 : -1) * Math.max(0, 1 - Math.abs(depth-0.5)/0.15) * 0.01;
+  }
+
+  const from = Math.max(0, n-15), tail = a => a.slice(from);
+  let patSignal = 0;
+  for (const { i, key } of detectPatterns(tail(bars.map(k=>k.o)), tail(highs), tail(lows), tail(closes)))
+    if (from+i >= n-3) patSignal += CANDLE_PATTERNS[key].dir * 0.005 * (3-(n-1-from-i))/3;
+
+  return {
+    VWAP: (price-vwap)/price, Ichimoku: ichiSignal, ADX: adxSignal, Pattern: patSignal,
+    PSAR: psar === null ? 0 : (price-psar)/price, Supertrend: st == null ? 0 : (price-st)/price, Fib: fibSignal,
+  };
+}
+
+// One bar ahead on the horizon's own interval: the weighted signal mix scaled
+// by that interval's ATR (capped), with the same ATR as σ for the band. With
+// m.srCap a forecast stops at the near edge of the first strong zone it would cross.
+export function projectHorizon(price, a, h, m = DEFAULT_MODEL) {
+  const mix = signalKeys(m).reduce((s, k) => s + a.raw[k]*m.w[h][k], 0);
+  let p = price * (1 + mix * Math.min(a.atrPct*m.atr[h], m.cap[h]));
+  let capped = null;
+  if (m.srCap) {
+    const up = p > price;
+    capped = a.levels.filter(l => l.strength >= SR_STRONG && (up ? l.lo > price && l.lo < p : l.hi < price && l.hi > p))
+      .sort((x, y) => Math.abs(x.price-price) - Math.abs(y.price-price))[0] || null;
+    if (capped) p = up ? capped.lo : capped.hi;
+  }
+  return { price: p, bands: atrBand(p, a.atr), raw: a.raw, atrPct: a.atrPct, capped };
+}
+
+// sets: interval → Candle[] (oldest first). "1h" drives the headline
+// indicators and signals, "1d" the mean-reversion baseline, and every
+// horizon in `hs` with candles of its interval gets a forecast. Live callers
+// pass the clock as `now`; without it every bar counts as closed.
+export function computePrediction(price, sets, m = DEFAULT_MODEL, hs = DEFAULT_HORIZONS, now = Infinity) {
+  const dCloses = (sets["1d"] || sets["1h"]).slice(-30).map(k=>k.c);
+  const base = analyzeSeries(price, sets["1h"], dCloses, m, now);
+  const byTf = { "1h": base };
+  const series = tf => byTf[tf] ||= analyzeSeries(price, sets[tf], dCloses, m, now);
+  const out = {};
+  for (const h of hs) {
+    if (!sets[h]?.length) continue;
+    out[h] = projectHorizon(price, series(h), h, m);
+  }
+  const confluence = calcConfluence(Object.fromEntries(Object.keys(CONFLUENCE_TFS)
+    .filter(tf => sets[tf]?.length >= CONFLUENCE_MIN_BARS).map(tf => [tf, series(tf)])));
+  const overall = !confluence ? base.overall
+    : confluence.score > CONFLUENCE_NEUTRAL ? "bullish" : confluence.score < -CONFLUENCE_NEUTRAL ? "bearish" : "neutral";
+  return { ...base, overall, confluence, horizons: out };
+}
+
+// ── Multi-Timeframe Confluence ─────────────────────────
+// Weight of each timeframe in the score; higher timeframes carry the trend
+export const CONFLUENCE_TFS = { "15m": 0.15, "1h": 0.25, "4h": 0.3, "1d": 0.3 };
+const CONFLUENCE_MIN_BARS = 60;   // fewer and EMA(50) hasn't settled
+export const CONFLUENCE_NEUTRAL = 0.1;   // |score| at or under this stays neutral
+// Signals that don't vary by timeframe (MeanRev always reads the daily mean) or carry no direction
+const CONFLUENCE_SKIP = new Set(["ATR", "MeanRev"]);
+
+// byTf: tf → analyzeSeries result. Each timeframe scores (bull − bear) / signals
+// in [-1, 1]; the overall score is their weighted mean. null when no timeframe loaded.
+export function calcConfluence(byTf) {
+  const tfs = Object.keys(byTf);
+  if (!tfs.length) return null;
+  const rows = {}, scores = {};
+  let score = 0, wSum = 0;
+  for (const tf of tfs) {
+    let net = 0, n = 0;
+    for (const [k, s] of Object.entries(byTf[tf].signals)) {
+      if (CONFLUENCE_SKIP.has(k)) continue;
+      (rows[k] ||= {})[tf] = s.direction;
+      net += s.direction === "bullish" ? 1 : s.direction === "bearish" ? -1 : 0;
+      n++;
+    }
+    scores[tf] = n ? net / n : 0;
+    score += scores[tf] * CONFLUENCE_TFS[tf];
+    wSum += CONFLUENCE_TFS[tf];
+  }
+  return { tfs, rows, scores, score: score / wSum };
+}
+
+// ── Backtest Replay ────────────────────────────────────
+// Walk-forward replay: at every bar the engine only sees what had traded by
+// then, and each horizon's forecast is scored against the next bar's close.
+export const BT_WARMUP = 60;     // bars of the horizon's interval needed before the first forecast
+// Context as of closed bar `idx`. dKl[0..d) are the daily candles closed by
+// then; without any (e.g. an imported 1h-only file) closes one day apart
+// within the series itself stand in for the 30 daily candles.
+function btContext(kl, idx, dKl, d) {
+  const bars = kl.slice(Math.max(0, idx-HORIZON_LIMIT+1), idx+1);
+  const price = kl[idx].c;
+  let dCloses;
+  if (d > 0) dCloses = [...dKl.slice(Math.max(0, d-29), d).map(k=>k.c), price];
+  else {
+    const step = Math.max(1, Math.round(86_400_000 / (kl[1].t - kl[0].t)));
+    dCloses = [];
+    for (let j = 0; j < 30 && idx-j*step >= 0; j++) dCloses.unshift(kl[idx-j*step].c);
+  }
+  return { bars, dCloses };
+}
+
+// Forecasts are one bar ahead, so consecutive trades never overlap
+export function scoreBacktest(points) {
+  let hits = 0, err = 0, eq = 1;
+  const equity = [1];
+  for (const p of points) {
+    const predDir = p.pred >= p.price ? 1 : -1;
+    const actDir  = p.actual >= p.price ? 1 : -1;
+    if (predDir === actDir) hits++;
+    err += Math.abs(p.pred - p.actual) / p.price * 100;
+    // Long/short by predicted direction
+    eq *= 1 + predDir * (p.actual - p.price) / p.price;
+    equity.push(eq);
+  }
+  const n = points.length;
+  return {
+    samples: n, from: points[0]?.ts, to: points[n-1]?.ts,
+    hitRate: n > 0 ? hits / n * 100 : null,
+    mae: n > 0 ? err / n : null,
+    equity, ret: (eq - 1) * 100,
+  };
+}
+
+// sets: interval → Candle[]. Forecast points per horizon with candles of its
+// interval; raw/atrPct are kept for weight calibration.
+export function replayBacktest(sets, m = DEFAULT_MODEL, hs = DEFAULT_HORIZONS) {
+  const dKl = sets["1d"] || [];
+  const out = {};
+  for (const h of hs) {
+    const kl = sets[h];
+    if (!kl || kl.length <= BT_WARMUP + 1) continue;
+    const pts = [];
+    let d = 0;
+    for (let i = BT_WARMUP; i + 1 < kl.length; i++) {
+      const k = kl[i];
+      while (d < dKl.length && dKl[d].T < k.T) d++;
+      const c = btContext(kl, i, dKl, d);
+      const a = analyzeSeries(k.c, c.bars, c.dCloses, m);
+      const f = projectHorizon(k.c, a, h, m);
+      pts.push({ ts: k.T, price: k.c, pred: f.price, actual: kl[i+1].c, raw: a.raw, atrPct: a.atrPct });
+    }
+    out[h] = pts;
+  }
+  return out;
+}
+
+export function runBacktest(sets, m = DEFAULT_MODEL, hs = DEFAULT_HORIZONS) {
+  const pts = replayBacktest(sets, m, hs);
+  return Object.fromEntries(Object.entries(pts).map(([h, p]) => [h, scoreBacktest(p)]));
+}
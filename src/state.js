@@ -0,0 +1,52 @@
+/* ============================================================
+   CryptoPricePredictor — src/state.js
+
+   UI state read by more than one module. Other modules can't
+   assign an imported binding, so each reassignable value has
+   a setter here.
+   ============================================================ */
+
+import { COIN_META, DEFAULT_HORIZONS, DEFAULT_WATCHLIST, HORIZONS_KEY, HORIZON_IDS, WATCHLIST_KEY, WATCHLIST_MAX } from "./config.js";
+import { DEFAULT_MODEL } from "./prediction.js";
+
+// The watched coins, in display order. Mutated in place by setWatchlist().
+export const COINS = loadWatchlist().map(coinFor);
+
+export const coinData = {};
+export let activeCoin = null;
+export let activeTF   = "1h";
+export let horizons   = loadHorizons(); // enabled horizon ids, shortest first
+export let currency   = "USD";          // quote currency of the active data source
+export let model      = DEFAULT_MODEL;  // the active preset, or an unsaved edit of it
+
+export function setActiveCoin(id) { activeCoin = id; }
+export function setActiveTF(tf) { activeTF = tf; }
+export function setCurrency(c) { currency = c; }
+export function setModel(m) { model = m; }
+
+// ── Forecast Horizons ──────────────────────────────────
+function loadHorizons() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HORIZONS_KEY));
+    const hs = HORIZON_IDS.filter(h => saved?.includes(h));
+    return hs.length ? hs : DEFAULT_HORIZONS;
+  } catch { return DEFAULT_HORIZONS; }
+}
+
+export function saveHorizons(hs) {
+  horizons = HORIZON_IDS.filter(h => hs.includes(h));
+  try { localStorage.setItem(HORIZONS_KEY, JSON.stringify(horizons)); } catch {}
+}
+
+// ── Watchlist ──────────────────────────────────────────
+export function coinFor(id) {
+  const meta = COIN_META[id];
+  return { id, name: meta?.name || id, icon: meta?.icon || id.slice(0, 1) };
+}
+
+function loadWatchlist() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(WATCHLIST_KEY));
+    return Array.isArray(ids) && ids.length ? ids.slice(0, WATCHLIST_MAX) : DEFAULT_WATCHLIST;
+  } catch { return DEFAULT_WATCHLIST; }
+}
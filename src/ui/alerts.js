@@ -0,0 +1,218 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/alerts.js
+
+   Price and signal alert rules, checked after every refresh and
+   reported through browser notifications, toasts and a stored log.
+   ============================================================ */
+
+import { HORIZONS } from "../config.js";
+import { VERDICT_KO, fmtMoney, fmtNum, fmtPct, fmtTime } from "../format.js";
+import { COINS, coinData, horizons } from "../state.js";
+import { SOURCES, source } from "../data.js";
+
+// ── Alerts ─────────────────────────────────────────────
+const ALERTS_KEY = "cpp_alerts";
+const ALERT_LOG_KEY = "cpp_alert_log";
+const ALERT_LOG_MAX = 200;
+// check(rule, prev, cur) → message or falsy. prev is null on the first pass after
+// load/source switch, so edge-triggered rules stay quiet until they see a real change.
+const ALERT_TYPES = {
+  cross_up: {
+    label: "가격 상향 돌파", unit: "가격", priced: true,
+    check: (r, p, c) => p && p.price < r.value && c.price >= r.value && `${fmtMoney(r.value)} 상향 돌파 (${fmtMoney(c.price)})`,
+  },
+  cross_down: {
+    label: "가격 하향 돌파", unit: "가격", priced: true,
+    check: (r, p, c) => p && p.price > r.value && c.price <= r.value && `${fmtMoney(r.value)} 하향 돌파 (${fmtMoney(c.price)})`,
+  },
+  rsi_band: {
+    label: "RSI 30/70 이탈",
+    check: (r, p, c) => p && (
+      p.rsi <= 70 && c.rsi > 70 ? `RSI ${fmtNum(c.rsi,1)} — 과매수 구간 진입` :
+      p.rsi >= 30 && c.rsi < 30 ? `RSI ${fmtNum(c.rsi,1)} — 과매도 구간 진입` : null),
+  },
+  macd_flip: {
+    label: "MACD 히스토그램 부호 전환",
+    check: (r, p, c) => p && c.hist !== 0 && Math.sign(p.hist) !== Math.sign(c.hist) && `MACD 히스토그램 ${c.hist > 0 ? "양전환 ▲" : "음전환 ▼"}`,
+  },
+  verdict: {
+    label: "종합 판정 변경",
+    check: (r, p, c) => p && p.overall !== c.overall && `종합 판정 ${VERDICT_KO[p.overall]} → ${VERDICT_KO[c.overall]}`,
+  },
+  move_1d: {
+    label: "1일 예측 변동 초과", unit: "%", needs: "1d",
+    check: (r, p, c) => Math.abs(c.move1d) >= r.value && (!p || Math.abs(p.move1d) < r.value) && `1일 예측 ${fmtPct(c.move1d)} (기준 ±${r.value}%)`,
+  },
+};
+
+let alertRules = loadAlerts();
+let alertLog = (() => { try { return JSON.parse(localStorage.getItem(ALERT_LOG_KEY)) || []; } catch { return []; } })();
+let alertPrev = {}; // coin → last evaluated snapshot
+
+// Rules on a forecast horizon sit idle while that horizon is switched off
+const alertReady = type => !ALERT_TYPES[type].needs || horizons.includes(ALERT_TYPES[type].needs);
+
+// Forgets the last snapshots, e.g. after a source switch changes every price
+export function resetAlerts() {
+  alertPrev = {};
+  renderAlerts();
+}
+
+function loadAlerts() {
+  try { return (JSON.parse(localStorage.getItem(ALERTS_KEY)) || []).filter(r => ALERT_TYPES[r.type]); }
+  catch { return []; }
+}
+function saveAlerts() {
+  try { localStorage.setItem(ALERTS_KEY, JSON.stringify(alertRules)); } catch {}
+}
+function saveAlertLog() {
+  try { localStorage.setItem(ALERT_LOG_KEY, JSON.stringify(alertLog.slice(-ALERT_LOG_MAX))); } catch {}
+}
+
+// Called at the end of every refresh(), after coinData holds fresh predictions
+export function evaluateAlerts() {
+  const now = Date.now();
+  let fired = false;
+  for (const coin of COINS) {
+    const cd = coinData[coin.id];
+    if (!cd?.prediction) continue;
+    const pred = cd.prediction, price = cd.ticker.price;
+    const cur = {
+      price, rsi: pred.rsi, hist: pred.macd.histogram, overall: pred.overall,
+      move1d: pred.horizons["1d"] ? (pred.horizons["1d"].price - price) / price * 100 : null,
+    };
+    const prev = alertPrev[coin.id] || null;
+    alertPrev[coin.id] = cur;
+
+    for (const rule of alertRules) {
+      if (!rule.enabled || !alertReady(rule.type) || (rule.coin !== "ALL" && rule.coin !== coin.id)) continue;
+      // Price levels are quoted in the currency of the source they were set on
+      if (ALERT_TYPES[rule.type].priced && rule.src !== source.id) continue;
+      const msg = ALERT_TYPES[rule.type].check(rule, prev, cur);
+      if (!msg) continue;
+      rule.lastFired ||= {};
+      if (now - (rule.lastFired[coin.id] || 0) < rule.cooldown * 60_000) continue;
+      rule.lastFired[coin.id] = now;
+      fireAlert(coin, msg);
+      fired = true;
+    }
+  }
+  if (fired) { saveAlerts(); saveAlertLog(); renderAlerts(); }
+}
+
+function fireAlert(coin, msg) {
+  const title = `${coin.icon} ${coin.id} 알림`;
+  alertLog.push({ ts: Date.now(), coin: coin.id, msg });
+  if (alertLog.length > ALERT_LOG_MAX) alertLog = alertLog.slice(-ALERT_LOG_MAX);
+  showToast(title, msg);
+  if ("Notification" in window && Notification.permission === "granted") {
+    try { new Notification(title, { body: msg, tag: `cpp-${coin.id}` }); } catch {}
+  }
+}
+
+export function showToast(title, msg) {
+  const box = document.getElementById("toasts");
+  const el = document.createElement("div");
+  el.className = "toast";
+  el.innerHTML = `<strong class="toast__title">${title}</strong><span class="toast__msg">${msg}</span>`;
+  el.addEventListener("click", () => el.remove());
+  box.appendChild(el);
+  while (box.children.length > 4) box.firstChild.remove();
+  setTimeout(() => el.remove(), 8000);
+}
+
+function alertRuleText(r) {
+  const t = ALERT_TYPES[r.type];
+  const val = t.unit === "가격" ? ` ${fmtMoney(r.value)}` : t.unit === "%" ? ` ±${r.value}%` : "";
+  return `${r.coin === "ALL" ? "전체" : r.coin} · ${t.label}${val}`;
+}
+
+export function renderAlerts() {
+  for (const opt of document.getElementById("alert-type").options) {
+    const t = ALERT_TYPES[opt.value];
+    opt.disabled = !alertReady(opt.value);
+    opt.textContent = t.label + (opt.disabled ? ` (${HORIZONS[t.needs].label} 예측 주기 꺼짐)` : "");
+  }
+  const idle = r => !alertReady(r.type) ? ` <em>(${HORIZONS[ALERT_TYPES[r.type].needs].label} 예측 주기가 꺼져 있어 멈춤)</em>` : "";
+  const list = document.getElementById("alert-rules");
+  list.innerHTML = alertRules.length ? alertRules.map(r => `
+    <div class="alert-rule${r.enabled && alertReady(r.type) ? "" : " off"}" data-id="${r.id}">
+      <input type="checkbox" class="alert-rule__toggle" ${r.enabled ? "checked" : ""} title="사용" />
+      <span class="alert-rule__text">${alertRuleText(r)}${ALERT_TYPES[r.type].priced && r.src !== source.id ? ` <em>(${SOURCES[r.src]?.label || r.src})</em>` : ""}${idle(r)}</span>
+      <span class="alert-rule__cd">쿨다운 ${r.cooldown}분</span>
+      <button class="alert-rule__del" title="삭제">✕</button>
+    </div>`).join("") : `<div class="alert-empty">등록된 알림 규칙이 없습니다</div>`;
+
+  const log = document.getElementById("alert-log");
+  log.innerHTML = alertLog.length ? alertLog.slice(-50).reverse().map(a =>
+    `<div class="alert-log__row"><span class="alert-log__time">${fmtTime(a.ts)}</span><span class="alert-log__coin">${a.coin}</span><span>${a.msg}</span></div>`
+  ).join("") : `<div class="alert-empty">알림 기록 없음</div>`;
+
+  renderNotifyPermission();
+}
+
+function renderNotifyPermission() {
+  const btn = document.getElementById("alert-permission");
+  if (!("Notification" in window)) { btn.style.display = "none"; return; }
+  const p = Notification.permission;
+  btn.textContent = p === "granted" ? "🔔 브라우저 알림 켜짐" : p === "denied" ? "🔕 브라우저 알림 차단됨" : "🔔 브라우저 알림 허용";
+  btn.disabled = p !== "default";
+}
+
+function requestNotifyPermission() {
+  if (!("Notification" in window) || Notification.permission !== "default") return;
+  Promise.resolve(Notification.requestPermission()).then(renderNotifyPermission, () => {});
+}
+
+function syncAlertForm() {
+  const unit = ALERT_TYPES[document.getElementById("alert-type").value].unit;
+  const val = document.getElementById("alert-value");
+  val.style.display = unit ? "" : "none";
+  val.placeholder = unit === "가격" ? "가격" : "변동 %";
+}
+
+function addAlertRule() {
+  const type = document.getElementById("alert-type").value;
+  const coin = document.getElementById("alert-coin").value;
+  const t = ALERT_TYPES[type];
+  const value = parseFloat(document.getElementById("alert-value").value);
+  const cooldown = Math.max(1, parseInt(document.getElementById("alert-cooldown").value, 10) || 15);
+  if (!alertReady(type)) { showToast("알림 규칙", `${t.label} 알림에는 ${HORIZONS[t.needs].label} 예측 주기가 필요합니다 (모델 설정에서 켜기)`); return; }
+  if (t.unit && !(value > 0)) { document.getElementById("alert-value").focus(); return; }
+  if (t.priced && coin === "ALL") { showToast("알림 규칙", "가격 돌파 알림은 코인을 하나 선택하세요"); return; }
+
+  alertRules.push({
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    coin, type, value: t.unit ? value : null, cooldown, enabled: true,
+    src: t.priced ? source.id : null,
+  });
+  saveAlerts();
+  renderAlerts();
+  document.getElementById("alert-value").value = "";
+  requestNotifyPermission();
+}
+
+export function bindAlertEvents() {
+  document.getElementById("alert-type").addEventListener("change", syncAlertForm);
+  document.getElementById("alert-add").addEventListener("click", addAlertRule);
+  document.getElementById("alert-permission").addEventListener("click", requestNotifyPermission);
+  document.getElementById("alert-log-clear").addEventListener("click", () => {
+    alertLog = [];
+    saveAlertLog();
+    renderAlerts();
+  });
+  document.getElementById("alert-rules").addEventListener("change", e => {
+    if (!e.target.classList.contains("alert-rule__toggle")) return;
+    const rule = alertRules.find(r => r.id === e.target.closest(".alert-rule").dataset.id);
+    if (rule) { rule.enabled = e.target.checked; saveAlerts(); renderAlerts(); }
+  });
+  document.getElementById("alert-rules").addEventListener("click", e => {
+    if (!e.target.closest(".alert-rule__del")) return;
+    const id = e.target.closest(".alert-rule").dataset.id;
+    alertRules = alertRules.filter(r => r.id !== id);
+    saveAlerts();
+    renderAlerts();
+  });
+  syncAlertForm();
+  renderAlerts();
+}
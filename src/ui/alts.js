@@ -0,0 +1,236 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/alts.js
+
+   The alt tab's cards and the detail panel opened from them.
+   ============================================================ */
+
+import { HORIZONS } from "../config.js";
+import { fmtBand, fmtNum, fmtPct, fmtPrice, fmtVol } from "../format.js";
+import { horizons, model } from "../state.js";
+import { queuedKlines, source } from "../data.js";
+import { calcATR, detectPatterns, ema, findLevels } from "../indicators.js";
+import { computePrediction } from "../prediction.js";
+import { drawBandCone, drawLevelBands, drawPatternMarks, nearestForecast } from "../charts.js";
+import { loadPredictionKlines } from "./dashboard.js";
+import { altCoins, altPage, altScreen } from "./screener.js";
+import { altQueue, altSignalLine } from "./signals.js";
+import { syncStreams } from "./stream.js";
+
+// ── Alt Grid ───────────────────────────────────────────
+function getAltTags(ticker) {
+  const tags = [];
+  const pct = Math.abs(ticker.changePct);
+  const vol = ticker.quoteVolume / source.usdScale;
+  if (pct > 15) tags.push({ text: `🔥 ${pct > 30 ? '🚀 박포적' : '급변'}`, hot: true });
+  if (vol > 500_000_000) tags.push({ text: '💧 대량거래', hot: true });
+  if (vol > 100_000_000) tags.push({ text: '💰 고볼륨', hot: false });
+  else tags.push({ text: '📊 일반', hot: false });
+  return tags;
+}
+
+function drawAltSparkline(canvasEl, closes) {
+  if (!canvasEl || closes.length < 2) return;
+  const ctx = canvasEl.getContext("2d");
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvasEl.getBoundingClientRect();
+  canvasEl.width = rect.width * dpr; canvasEl.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+  const W = rect.width, H = rect.height;
+  const min = Math.min(...closes)*0.999, max = Math.max(...closes)*1.001, range = max-min||1;
+  const toX = i => (i/(closes.length-1))*W;
+  const toY = v => H - ((v-min)/range)*(H-4) - 2;
+  const up = closes[closes.length-1] >= closes[0];
+  ctx.clearRect(0,0,W,H);
+  const grad = ctx.createLinearGradient(0,0,0,H);
+  grad.addColorStop(0, up?"rgba(52,211,153,0.15)":"rgba(251,113,133,0.15)"); grad.addColorStop(1,"transparent");
+  ctx.beginPath(); ctx.moveTo(toX(0),H);
+  for(let i=0;i<closes.length;i++) ctx.lineTo(toX(i),toY(closes[i]));
+  ctx.lineTo(toX(closes.length-1),H); ctx.closePath(); ctx.fillStyle=grad; ctx.fill();
+  ctx.beginPath();
+  for(let i=0;i<closes.length;i++){const x=toX(i),y=toY(closes[i]);i===0?ctx.moveTo(x,y):ctx.lineTo(x,y);}
+  ctx.strokeStyle=up?"#34d399":"#fb7185"; ctx.lineWidth=1.3; ctx.lineJoin="round"; ctx.stroke();
+}
+
+export async function renderAltGrid() {
+  const grid = document.getElementById("alt-grid");
+  if (!altCoins.length) { grid.innerHTML = '<div class="alt-loading">조건에 맞는 종목 없음</div>'; return; }
+
+  grid.innerHTML = "";
+  altCoins.forEach((t, i) => {
+    const idx = altPage * altScreen.count + i;
+    const pct = t.changePct;
+    const tags = getAltTags(t);
+    const base = source.base(t.symbol);
+
+    const card = document.createElement("div");
+    card.className = "acard";
+    card.style.animationDelay = `${i * 0.04}s`;
+    card.dataset.symbol = t.symbol;
+
+    card.innerHTML = `
+      <div class="acard__top">
+        <div class="acard__rank ${idx<3?'top3':''}">${idx+1}</div>
+        <div>
+          <div class="acard__name">${base}</div>
+          <div class="acard__symbol">${t.symbol}</div>
+        </div>
+        <div class="acard__change ${pct>=0?'up':'down'}">${fmtPct(pct)}</div>
+      </div>
+      <div class="acard__row">
+        <span class="acard__price">${fmtPrice(t.price)}</span>
+        <span class="acard__vol">Vol ${fmtVol(t.quoteVolume)}</span>
+      </div>
+      ${altSignalLine(t)}
+      <canvas class="acard__spark" data-spark="${t.symbol}" height="36"></canvas>
+      <div class="acard__tags">${tags.map(tg => `<span class="acard__tag ${tg.hot?'hot':''}">${tg.text}</span>`).join("")}</div>`;
+
+    card.addEventListener("click", () => openAltDetail(t.symbol));
+    grid.appendChild(card);
+  });
+
+  // Load sparklines for visible alt cards
+  loadAltSparklines();
+}
+
+function loadAltSparklines() {
+  for (const t of altCoins) {
+    const canvas = document.querySelector(`canvas[data-spark="${t.symbol}"]`);
+    if (!canvas) continue;
+    queuedKlines(altQueue, t.symbol, "1h", 48).then(kl => drawAltSparkline(canvas, kl.map(k => k.c)), () => { /* skip */ });
+  }
+}
+
+// ── Alt Detail ─────────────────────────────────────────
+export let activeAltSymbol = null;
+export let altDetail = null; // { symbol, ticker, sets } behind the open alt panel
+
+async function openAltDetail(symbol) {
+  activeAltSymbol = symbol;
+  altDetail = null;
+  syncStreams();
+  const panel = document.getElementById("alt-detail");
+  panel.style.display = "";
+
+  const base = source.base(symbol);
+  const ticker = altCoins.find(t => t.symbol === symbol);
+
+  document.getElementById("ad-icon").textContent = "🪙";
+  document.getElementById("ad-title").textContent = base;
+  document.getElementById("ad-pair").textContent = `${base} / ${source.quote}`;
+
+  try {
+    const sets = await loadPredictionKlines(symbol);
+    if (activeAltSymbol !== symbol) return; // another card was opened meanwhile
+
+    altDetail = { symbol, ticker, sets };
+    renderAltDetail();
+
+  } catch(e) {
+    console.error("Alt detail error:", e);
+    document.getElementById("ad-stats").innerHTML = '<span style="color:var(--red)">데이터 로드 실패</span>';
+  }
+
+  panel.scrollIntoView({ behavior:"smooth", block:"nearest" });
+}
+
+export function renderAltDetail() {
+  const { ticker, sets } = altDetail;
+  const pct = ticker.changePct;
+  const price = ticker.price;
+
+  const badge = document.getElementById("ad-change");
+  badge.textContent = fmtPct(pct);
+  badge.className = `alt-detail__badge ${pct>=0?'up':'down'}`;
+  document.getElementById("ad-price").textContent = fmtPrice(price);
+
+  const pred = computePrediction(price, sets, model, horizons, Date.now());
+
+  // Stats
+  document.getElementById("ad-stats").innerHTML = [
+    { label:"RSI(14)", val: fmtNum(pred.rsi,1) },
+    { label:"MACD Hist", val: fmtNum(pred.macd.histogram,4), cls: pred.macd.histogram>=0?"up":"down" },
+    { label:"BB %B", val: fmtNum(pred.bb.pctB*100,1)+"%" },
+    { label:"Stoch K/D", val:`${fmtNum(pred.stoch.k,0)}/${fmtNum(pred.stoch.d,0)}` },
+    { label:"ATR", val: fmtPrice(pred.atr) },
+    { label:"다중 시간대", val: pred.confluence ? `${pred.confluence.score >= 0 ? "+" : ""}${fmtNum(pred.confluence.score*100, 0)}` : "—",
+      cls: pred.confluence?.score > 0 ? "up" : pred.confluence?.score < 0 ? "down" : "" },
+    { label:"종합", val: pred.overall==="bullish"?"강세":pred.overall==="bearish"?"약세":"중립", cls: pred.overall==="bullish"?"up":pred.overall==="bearish"?"down":"" },
+  ].map(i => `<div class="stat"><span class="stat__label">${i.label}</span><span class="stat__val ${i.cls||""}">${i.val}</span></div>`).join("");
+
+  // Predictions
+  document.getElementById("ad-preds").innerHTML = horizons.filter(h => pred.horizons[h]).map(h => {
+    const f = pred.horizons[h], diff = ((f.price-price)/price)*100;
+    return `
+    <div class="sp">
+      <span class="sp__label">${HORIZONS[h].label} 예측</span>
+      <span class="sp__val ${f.price>=price?'up':'down'}">${fmtPrice(f.price)}</span>
+      <span class="sp__pct ${diff>=0?'up':'down'}">${fmtPct(diff)}</span>
+      <span class="sp__band" title="50% ${fmtBand(f.bands.p50, price)}">90% ${fmtBand(f.bands.p90, price)}</span>
+    </div>`;
+  }).join(`<div class="sp-div"></div>`);
+
+  // Chart — draw candlestick
+  drawAltDetailChart(sets["1h"], nearestForecast(pred, "1d"));
+}
+
+function drawAltDetailChart(klines, fc) {
+  const canvas = document.getElementById("ad-chart");
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const dpr = window.devicePixelRatio||1;
+  const rect = canvas.getBoundingClientRect();
+  canvas.width=rect.width*dpr; canvas.height=rect.height*dpr;
+  ctx.scale(dpr,dpr);
+  const W=rect.width, H=rect.height;
+
+  const closes=klines.map(k=>k.c),highs=klines.map(k=>k.h);
+  const lows=klines.map(k=>k.l),opens=klines.map(k=>k.o);
+  const n=closes.length;
+  const band=fc?.bands;
+  const pMin=Math.min(...lows,...(band?band.p90:[]))*0.998,pMax=Math.max(...highs,...(band?band.p90:[]))*1.002,pR=pMax-pMin||1;
+  const padR=band?40:0;
+  const cW=Math.max(1,((W-padR)/n)*0.6),gap=(W-padR)/n;
+  const toX=i=>gap*i+gap/2;
+  const toY=v=>8+(H-16)-((v-pMin)/pR)*(H-16);
+
+  ctx.clearRect(0,0,W,H);
+  ctx.strokeStyle="rgba(99,102,241,0.06)";ctx.lineWidth=0.5;
+  for(let i=0;i<4;i++){const y=8+((H-16)/3)*i;ctx.beginPath();ctx.moveTo(0,y);ctx.lineTo(W,y);ctx.stroke();}
+  drawLevelBands(ctx,findLevels(highs,lows,closes,klines.map(k=>k.v),calcATR(highs,lows,closes).value),toY,W-padR);
+
+  for(let i=0;i<n;i++){
+    const x=toX(i),oY=toY(opens[i]),cY=toY(closes[i]),hY=toY(highs[i]),lY=toY(lows[i]);
+    const bull=closes[i]>=opens[i],col=bull?"#34d399":"#fb7185";
+    ctx.beginPath();ctx.moveTo(x,hY);ctx.lineTo(x,lY);ctx.strokeStyle=col;ctx.lineWidth=1;ctx.stroke();
+    ctx.fillStyle=col;ctx.fillRect(x-cW/2,Math.min(oY,cY),cW,Math.max(Math.abs(oY-cY),1));
+  }
+  drawPatternMarks(ctx,detectPatterns(opens,highs,lows,closes),klines,toX,toY,gap);
+
+  // EMA overlays
+  const e8=ema(closes,8),e21=ema(closes,21);
+  for(const[s,c]of[[e8,"#fbbf24"],[e21,"#818cf8"]]){
+    ctx.beginPath();
+    for(let i=0;i<s.length;i++){const x=toX(i),y=toY(s[i]);i===0?ctx.moveTo(x,y):ctx.lineTo(x,y);}
+    ctx.strokeStyle=c;ctx.lineWidth=1;ctx.stroke();
+  }
+
+  // Prediction dot
+  if(fc){
+    const pP=fc.price,lX=toX(n-1),lY2=toY(closes[n-1]),pX=W-6;
+    const pY=toY(Math.max(pMin,Math.min(pMax,pP)));
+    const up=pP>=closes[n-1];
+    drawBandCone(ctx,lX,lY2,pX,band,toY,up);
+    ctx.setLineDash([3,3]);ctx.beginPath();ctx.moveTo(lX,lY2);ctx.lineTo(pX,pY);
+    ctx.strokeStyle=up?"#34d399":"#fb7185";ctx.lineWidth=1.5;ctx.stroke();ctx.setLineDash([]);
+    ctx.beginPath();ctx.arc(pX,pY,4,0,Math.PI*2);
+    ctx.fillStyle=up?"#34d399":"#fb7185";ctx.fill();
+    ctx.strokeStyle="#0c1220";ctx.lineWidth=1.5;ctx.stroke();
+  }
+}
+
+export function closeAltDetail() {
+  activeAltSymbol = null;
+  altDetail = null;
+  syncStreams();
+  document.getElementById("alt-detail").style.display = "none";
+}
@@ -0,0 +1,126 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/backtest.js
+
+   The backtest panel: candles fetched per coin or read from a
+   file, replayed through src/prediction.js, with a results table
+   and equity curves.
+   ============================================================ */
+
+import { HORIZONS, HORIZON_IDS } from "../config.js";
+import { fmtNum, fmtPct, fmtTime } from "../format.js";
+import { COINS, horizons, model } from "../state.js";
+import { binanceCandle, getKlines, symOf } from "../data.js";
+import { BT_WARMUP, runBacktest } from "../prediction.js";
+import { drawEquityChart } from "../charts.js";
+
+// ── Backtest ───────────────────────────────────────────
+const BT_LIMIT  = 1000;   // Binance klines max per request
+let btResults = [];
+
+export async function loadBacktestData(coin) {
+  const tfs = [...new Set([...horizons, "1d"])];
+  const sets = await Promise.all(tfs.map(tf => getKlines(symOf(coin), tf, BT_LIMIT)));
+  return Object.fromEntries(tfs.map((tf, i) => [tf, sets[i]]));
+}
+
+// Rows may be raw Binance kline arrays or normalized Candle objects
+function toCandles(rows) {
+  if (!Array.isArray(rows)) return null;
+  const out = rows.map(r => Array.isArray(r) ? (r.length >= 7 ? binanceCandle(r) : null) : r);
+  const ok = out.every(k => k && [k.t, k.o, k.h, k.l, k.c].every(Number.isFinite));
+  return ok ? out.map(k => ({ ...k, T: k.T ?? k.t })) : null;
+}
+
+// Accepts a klines array (treated as 1h) or { "1h": [...], "1m": [...], ... }
+// keyed by any horizon interval, plus optional "1d" for the daily baseline
+function parseBacktestFile(text) {
+  const json = JSON.parse(text);
+  const raw = Array.isArray(json) ? { "1h": json } : json || {};
+  const sets = {};
+  for (const tf of HORIZON_IDS) {
+    if (raw[tf] == null) continue;
+    sets[tf] = toCandles(raw[tf]);
+    if (!sets[tf]) throw new Error(`${tf} klines 형식 오류`);
+  }
+  if (!Object.values(sets).some(kl => kl.length > BT_WARMUP + 1))
+    throw new Error(`한 주기 이상에 klines ${BT_WARMUP + 2}개 이상 필요`);
+  return sets;
+}
+
+function renderBacktest() {
+  const tbody = document.getElementById("bt-body");
+  tbody.innerHTML = btResults.length ? btResults.map(r => {
+    return `<tr>
+      <td>${r.label}</td>
+      <td>${HORIZONS[r.horizon].label}</td>
+      <td>${fmtTime(r.from)} ~ ${fmtTime(r.to)}</td>
+      <td>${r.samples}</td>
+      <td class="${r.hitRate >= 50 ? "result-hit" : "result-miss"}">${fmtNum(r.hitRate,1)}%</td>
+      <td>${fmtNum(r.mae,3)}%</td>
+      <td class="${r.ret >= 0 ? "result-hit" : "result-miss"}">${fmtPct(r.ret)}</td>
+    </tr>`;
+  }).join("") : `<tr><td colspan="7" class="result-pending">결과 없음</td></tr>`;
+
+  const hs = HORIZON_IDS.filter(h => btResults.some(r => r.horizon === h));
+  const wrap = document.getElementById("bt-charts");
+  if (wrap.dataset.ids !== hs.join()) {
+    wrap.dataset.ids = hs.join();
+    wrap.innerHTML = hs.map(h =>
+      `<div class="bt-chart"><span class="bt-chart__label">${HORIZONS[h].label} 예측 수익 곡선</span><canvas id="bt-eq-${h}"></canvas></div>`).join("");
+  }
+  for (const h of hs)
+    drawEquityChart(document.getElementById(`bt-eq-${h}`), btResults.filter(r => r.horizon === h));
+}
+
+async function runBacktestPanel() {
+  const statusEl = document.getElementById("bt-status");
+  const btn = document.getElementById("bt-run");
+  btn.disabled = true;
+  statusEl.textContent = "데이터 로드 중...";
+  try {
+    let sets;
+    if (document.getElementById("bt-source").value === "file") {
+      const file = document.getElementById("bt-file").files[0];
+      if (!file) throw new Error("파일을 선택하세요");
+      const data = parseBacktestFile(await file.text());
+      sets = [{ label: file.name.replace(/\.json$/i, ""), data, hs: Object.keys(data) }];
+    } else {
+      const sel = document.getElementById("bt-coin").value;
+      const coins = sel === "ALL" ? COINS : COINS.filter(c => c.id === sel);
+      sets = await Promise.all(coins.map(async c => ({ label: c.id, data: await loadBacktestData(c), hs: horizons })));
+    }
+
+    // One replay per coin and horizon, yielding between them so the page stays responsive
+    const total = sets.reduce((n, s) => n + s.hs.length, 0);
+    let done = 0;
+    btResults = [];
+    for (const s of sets) {
+      for (const h of s.hs) {
+        statusEl.textContent = `리플레이 중 ${done++}/${total}...`;
+        await new Promise(r => setTimeout(r));
+        const r = runBacktest(s.data, model, [h])[h];
+        if (r?.samples > 0) btResults.push({ label: s.label, horizon: h, ...r });
+      }
+    }
+    renderBacktest();
+    statusEl.textContent = `완료 · ${fmtTime(Date.now())} · ${btResults.reduce((s,r)=>s+r.samples,0)}개 시점`;
+  } catch(e) {
+    console.error("Backtest error:", e);
+    statusEl.textContent = `실패 — ${e.message}`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Redraws the equity curves after a resize
+export function redrawBacktest() {
+  if (btResults.length) renderBacktest();
+}
+
+export function bindBacktestEvents() {
+  document.getElementById("bt-source")?.addEventListener("change", e => {
+    document.getElementById("bt-coin").style.display = e.target.value === "file" ? "none" : "";
+    document.getElementById("bt-file").style.display = e.target.value === "file" ? "" : "none";
+  });
+  document.getElementById("bt-run")?.addEventListener("click", runBacktestPanel);
+}
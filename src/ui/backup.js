@@ -0,0 +1,227 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/backup.js
+
+   CSV / JSON export of history and charted klines, and the full
+   JSON backup with its restore.
+   ============================================================ */
+
+import { HISTORY_KEY, HORIZONS } from "../config.js";
+import { activeCoin, activeTF } from "../state.js";
+import { SOURCES, historyDB, idbDone, source } from "../data.js";
+import { calcATR, calcBollinger, calcMACD, calcRSI, calcStochastic, ema } from "../indicators.js";
+import { historyCoins, historyStore, isApprox, isHit, lastRecorded, mergeEntries, migrateEntry, noteErrors, scanHistory, withDue } from "../history.js";
+import { chart, syncChartSeries } from "../charts.js";
+import { showToast } from "./alerts.js";
+import { historyQuery, renderHistory } from "./history.js";
+import { renderCoinSelects } from "./watchlist.js";
+
+// ── Export / Import ────────────────────────────────────
+// Files carry { app, version, kind } so an import can tell a history export
+// ("history") from a full backup ("backup") and refuse anything else.
+const EXPORT_APP = "CryptoPricePredictor";
+const EXPORT_VERSION = 1;
+const HISTORY_CSV_COLS = ["time", "coin", "source", "horizon", "price", "predicted", "actual", "resolvedAt",
+  "result", "errorPct", "lo50", "hi50", "lo90", "hi90", "lateMs", "approx"];
+const KLINE_CSV_COLS = ["time", "open", "high", "low", "close", "volume", "quoteVolume",
+  "ema8", "ema21", "ema50", "bbUpper", "bbMid", "bbLower", "rsi14", "macd", "macdSignal", "macdHist", "stochK", "stochD", "atr14"];
+
+function download(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = Object.assign(document.createElement("a"), { href: url, download: name });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+function fileStamp() { return new Date().toISOString().slice(0,16).replace(/[-:]/g, "").replace("T", "-"); }
+function iso(ts) { return ts ? new Date(ts).toISOString() : null; }
+
+function toCSV(cols, rows) {
+  const cell = v => {
+    if (v == null) return "";
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [cols.join(","), ...rows.map(r => cols.map(c => cell(r[c])).join(","))].join("\n");
+}
+
+// One row per entry × horizon, scored the way the history table shows it.
+// errorPct = (actual − predicted) / price.
+function historyRows(entries) {
+  return entries.flatMap(e => Object.keys(e.preds).map(h => {
+    const a = e.actual[h], b = e.bands?.[h];
+    return {
+      time: iso(e.ts), coin: e.coin, source: e.src || "binance", horizon: h,
+      price: e.price, predicted: e.preds[h], actual: a, resolvedAt: iso(e.actualTs?.[h]),
+      result: a == null ? "pending" : isHit(e, h) ? "hit" : "miss",
+      errorPct: a == null ? null : +((a - e.preds[h]) / e.price * 100).toFixed(4),
+      lo50: b?.[0], hi50: b?.[1], lo90: b?.[2], hi90: b?.[3],
+      lateMs: e.late?.[h], approx: a == null ? null : isApprox(e, h),
+    };
+  }));
+}
+
+async function readHistory(q = {}) {
+  const out = [];
+  if (historyDB) await scanHistory(q, e => { const { id, due, ...rest } = e; out.push(rest); }, "next");
+  return out;
+}
+
+// Exports whatever the coin / range filters above the table currently select
+async function exportHistory(format) {
+  const entries = await readHistory(historyQuery());
+  if (!entries.length) { showToast("내보내기", "선택한 기간에 기록이 없습니다"); return; }
+  const name = `cpp-history-${fileStamp()}`;
+  if (format === "csv") {
+    download(`${name}.csv`, toCSV(HISTORY_CSV_COLS, historyRows(entries)), "text/csv");
+  } else {
+    const rows = historyRows(entries);
+    let i = 0;
+    const withResults = entries.map(e => ({ ...e, results: Object.fromEntries(Object.keys(e.preds).map(h => {
+      const { result, errorPct, approx } = rows[i++];
+      return [h, { result, errorPct, approx }];
+    })) }));
+    download(`${name}.json`, JSON.stringify({ app: EXPORT_APP, version: EXPORT_VERSION, kind: "history", exportedAt: Date.now(), entries: withResults }), "application/json");
+  }
+}
+
+// Candles of the open detail chart with every indicator series computed on them
+function exportKlines(format) {
+  syncChartSeries();
+  const kl = chart.kl; // everything the chart has loaded, including older pages
+  if (!kl.length) return;
+  const closes = kl.map(k=>k.c), highs = kl.map(k=>k.h), lows = kl.map(k=>k.l);
+  const e8 = ema(closes,8), e21 = ema(closes,21), e50 = ema(closes,50);
+  const bb = calcBollinger(closes,20,2), rsi = calcRSI(closes).series, macd = calcMACD(closes);
+  const st = calcStochastic(highs, lows, closes), atr = calcATR(highs, lows, closes).series;
+  const rows = kl.map((k, i) => ({
+    time: iso(k.t), open: k.o, high: k.h, low: k.l, close: k.c, volume: k.v, quoteVolume: k.q,
+    ema8: e8[i], ema21: e21[i], ema50: e50[i], bbUpper: bb.upper[i], bbMid: bb.mid[i], bbLower: bb.lower[i],
+    rsi14: rsi[i] ?? null, macd: macd.lineSeries[i], macdSignal: macd.signalSeries[i], macdHist: macd.histSeries[i],
+    stochK: st.kSeries[i], stochD: st.dSeries[i], atr14: atr[i],
+  }));
+  const name = `cpp-${source.id}-${source.market(activeCoin)}-${activeTF}-${fileStamp()}`;
+  if (format === "csv") download(`${name}.csv`, toCSV(KLINE_CSV_COLS, rows), "text/csv");
+  else download(`${name}.json`, JSON.stringify({
+    app: EXPORT_APP, version: EXPORT_VERSION, kind: "klines", exportedAt: Date.now(),
+    source: source.id, symbol: source.market(activeCoin), interval: activeTF, candles: rows,
+  }), "application/json");
+}
+
+// Every cpp_* setting plus the full history
+async function exportBackup() {
+  const storage = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k.startsWith("cpp_")) storage[k] = localStorage.getItem(k);
+  }
+  const history = await readHistory();
+  download(`cpp-backup-${fileStamp()}.json`, JSON.stringify({
+    app: EXPORT_APP, version: EXPORT_VERSION, kind: "backup", exportedAt: Date.now(), storage, history,
+  }), "application/json");
+  showToast("백업", `설정 ${Object.keys(storage).length}개 · 히스토리 ${history.length}건을 저장했습니다`);
+}
+
+// Normalized entry, or null when it doesn't fit the schema. Pre-horizon
+// (pred1m/pred1d) entries are accepted and migrated like stored ones.
+function validEntry(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const e = raw.preds ? raw : migrateEntry({ ...raw });
+  const num = v => typeof v === "number" && Number.isFinite(v);
+  if (!num(e.ts) || typeof e.coin !== "string" || !/^[A-Z0-9]{1,20}$/.test(e.coin) || !num(e.price) || e.price <= 0) return null;
+  const src = e.src || "binance";
+  if (!SOURCES[src] || !e.preds || typeof e.preds !== "object") return null;
+  const hs = Object.keys(e.preds).filter(h => HORIZONS[h] && num(e.preds[h]));
+  if (!hs.length) return null;
+  const pick = (obj, ok) => Object.fromEntries(hs.map(h => [h, ok(obj?.[h]) ? obj[h] : null]));
+  const out = {
+    ts: e.ts, coin: e.coin, src, price: e.price,
+    preds: pick(e.preds, num), actual: pick(e.actual, num), actualTs: pick(e.actualTs, num), late: pick(e.late, num),
+    bands: Object.fromEntries(hs.filter(h => Array.isArray(e.bands?.[h]) && e.bands[h].length === 4 && e.bands[h].every(num)).map(h => [h, e.bands[h]])),
+  };
+  // Calibration inputs are optional, but only kept when numeric for every horizon
+  if (hs.every(h => e.raw?.[h] && Object.keys(e.raw[h]).length && Object.values(e.raw[h]).every(num) && num(e.atrPct?.[h]))) {
+    out.raw = pick(e.raw, Boolean);
+    out.atrPct = pick(e.atrPct, num);
+  }
+  for (const h of hs) if (out.actual[h] === null) out.actualTs[h] = out.late[h] = null;
+  return withDue(out);
+}
+
+// Stored copies are only updated with outcomes they are still waiting for
+async function mergeHistory(entries) {
+  if (!historyDB || !entries.length) return { added: 0, updated: 0, skipped: 0 };
+  const existing = new Map();
+  for (const coin of new Set(entries.map(e => e.coin))) {
+    const ts = entries.filter(e => e.coin === coin).map(e => e.ts);
+    await scanHistory({ coin, from: Math.min(...ts), to: Math.max(...ts) }, e => { existing.set(`${e.src || "binance"}|${e.coin}|${e.ts}`, e); });
+  }
+  const { add, put, skipped } = mergeEntries(entries, existing);
+  const st = historyStore("readwrite");
+  for (const e of add) st.add(e);
+  for (const e of put) st.put(e);
+  await idbDone(st.transaction);
+  for (const e of add.sort((a, b) => a.ts - b.ts)) {
+    historyCoins.add(e.coin);
+    lastRecorded[e.coin] = Math.max(lastRecorded[e.coin] || 0, e.ts);
+    noteErrors(e);
+  }
+  return { added: add.length, updated: put.length, skipped };
+}
+
+async function importFile(file) {
+  let json;
+  try { json = JSON.parse(await file.text()); }
+  catch { throw new Error("JSON 파일이 아닙니다"); }
+  if (json?.app !== EXPORT_APP || !["history", "backup"].includes(json.kind))
+    throw new Error("이 앱에서 내보낸 히스토리 또는 백업 파일이 아닙니다");
+  if (json.version > EXPORT_VERSION) throw new Error(`지원하지 않는 파일 버전입니다 (v${json.version})`);
+  const list = json.kind === "backup" ? json.history : json.entries;
+  if (!Array.isArray(list)) throw new Error("히스토리 목록이 없습니다");
+  const entries = list.map(validEntry);
+  const invalid = entries.filter(e => !e).length;
+
+  let storage = null;
+  if (json.kind === "backup") {
+    storage = json.storage;
+    if (!storage || typeof storage !== "object" || Object.entries(storage).some(([k, v]) => !k.startsWith("cpp_") || typeof v !== "string"))
+      throw new Error("백업의 설정 항목 형식이 올바르지 않습니다");
+    if (!confirm(`백업 설정 ${Object.keys(storage).length}개로 현재 설정을 바꾸고 히스토리 ${list.length - invalid}건을 병합합니다. 계속할까요?`)) return;
+  }
+
+  const res = await mergeHistory(entries.filter(Boolean));
+  const summary = `추가 ${res.added} · 결과 보완 ${res.updated} · 중복 ${res.skipped}${invalid ? ` · 형식 오류로 제외 ${invalid}` : ""}`;
+  if (storage) {
+    // Settings are read once at startup, so a restore reloads the page
+    for (const k of Object.keys(localStorage).filter(k => k.startsWith("cpp_") && k !== HISTORY_KEY)) localStorage.removeItem(k);
+    for (const [k, v] of Object.entries(storage)) if (k !== HISTORY_KEY) localStorage.setItem(k, v);
+    alert(`복원 완료 — ${summary}\n페이지를 다시 불러옵니다.`);
+    location.reload();
+    return;
+  }
+  showToast("히스토리 가져오기", summary);
+  renderCoinSelects();
+  renderHistory();
+}
+
+export function bindExportEvents() {
+  const onFile = (inputId, run) => {
+    const input = document.getElementById(inputId);
+    input.addEventListener("change", async () => {
+      const file = input.files[0];
+      input.value = "";
+      if (!file) return;
+      try { await run(file); }
+      catch(e) { console.error("Import error:", e); showToast("가져오기 실패", e.message); }
+    });
+  };
+  document.getElementById("history-export-csv").addEventListener("click", () => exportHistory("csv"));
+  document.getElementById("history-export-json").addEventListener("click", () => exportHistory("json"));
+  document.getElementById("history-import").addEventListener("click", () => document.getElementById("history-import-file").click());
+  onFile("history-import-file", importFile);
+  document.getElementById("dp-export-csv").addEventListener("click", () => exportKlines("csv"));
+  document.getElementById("dp-export-json").addEventListener("click", () => exportKlines("json"));
+  document.getElementById("backup-export").addEventListener("click", exportBackup);
+  document.getElementById("backup-import").addEventListener("click", () => document.getElementById("backup-import-file").click());
+  onFile("backup-import-file", importFile);
+}
@@ -0,0 +1,205 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/calibration.js
+
+   Per-coin weight calibration: ridge fits on history or backtest
+   samples, stored per source, coin and horizon and used live on
+   opt-in.
+   ============================================================ */
+
+import { HORIZONS, HORIZON_IDS } from "../config.js";
+import { fmtNum, fmtTime } from "../format.js";
+import { COINS, horizons, model } from "../state.js";
+import { historyDB, source } from "../data.js";
+import { replayBacktest, signalKeys } from "../prediction.js";
+import { scanHistory } from "../history.js";
+import { loadBacktestData } from "./backtest.js";
+import { activePreset, repredict } from "./model.js";
+
+// ── Weight Calibration ─────────────────────────────────
+// Refits the per-signal weights of one horizon by ridge regression of the realized
+// return on raw signal × ATR scale, i.e. the exact form computePrediction uses.
+const CALIB_KEY = "cpp_calibration_v2"; // v1 fits were on hourly signals for every horizon
+const CALIB_MIN = 30;      // resolved samples needed before fitting
+const CALIB_SPLIT = 0.7;   // chronological: first 70% fit, last 30% held out
+const CALIB_RIDGE = 1e-3;  // keeps collinear signals (EMA/MACD) from blowing up
+
+let calibration = loadCalibration(); // "src|coin" → horizon → fit
+
+// Fits saved before they were keyed by source came from the default one
+function loadCalibration() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(CALIB_KEY)) || {};
+    return Object.fromEntries(Object.entries(raw).map(([k, v]) => [k.includes("|") ? k : `binance|${k}`, v]));
+  } catch { return {}; }
+}
+function saveCalibration() {
+  try { localStorage.setItem(CALIB_KEY, JSON.stringify(calibration)); } catch {}
+}
+
+// A fit only describes the market it was made on
+const calibKey = coinId => `${source.id}|${coinId}`;
+
+// Coins with fits on the active source
+export function calibratedCoins() {
+  const pre = `${source.id}|`;
+  return Object.keys(calibration).filter(k => k.startsWith(pre)).map(k => k.slice(pre.length));
+}
+
+// Active preset with any opted-in fitted weights swapped in
+export function modelFor(coinId) {
+  const live = Object.entries(calibration[calibKey(coinId)] || {}).filter(([h, f]) => f.live && HORIZONS[h]);
+  if (!live.length) return model;
+  return { ...model, w: { ...model.w, ...Object.fromEntries(live.map(([h, f]) => [h, { ...model.w[h], ...f.w }])) } };
+}
+
+// Gaussian elimination with partial pivoting; null when singular
+function solveLinear(A, b) {
+  const n = b.length, M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c+1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (Math.abs(M[p][c]) < 1e-12) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+// samples: [{ ts, price, actual, raw, atrPct }] oldest first
+function fitWeights(samples, h, m = model) {
+  const keys = signalKeys(m);
+  const rows = samples.map(s => {
+    const scale = Math.min(s.atrPct*m.atr[h], m.cap[h]);
+    return { x: keys.map(k => (s.raw[k] || 0) * scale), y: (s.actual - s.price) / s.price };
+  });
+  const cut = Math.floor(rows.length * CALIB_SPLIT);
+  const train = rows.slice(0, cut), test = rows.slice(cut);
+
+  // Standardize so one penalty suits every signal's scale
+  const n = keys.length;
+  const sd = keys.map((_, j) => Math.sqrt(train.reduce((s, r) => s + r.x[j]**2, 0) / train.length) || 1);
+  const A = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? CALIB_RIDGE*train.length : 0));
+  const b = new Array(n).fill(0);
+  for (const r of train) {
+    const z = r.x.map((v, j) => v / sd[j]);
+    for (let i = 0; i < n; i++) {
+      b[i] += z[i] * r.y;
+      for (let j = 0; j < n; j++) A[i][j] += z[i] * z[j];
+    }
+  }
+  const beta = solveLinear(A, b)?.map((v, j) => v / sd[j]);
+  if (!beta) return null;
+
+  // Same convention as the history stats: a flat forecast counts as "up"
+  const acc = (rs, w) => rs.length
+    ? rs.filter(r => (r.x.reduce((s, v, j) => s + v*w[j], 0) >= 0) === (r.y >= 0)).length / rs.length * 100
+    : null;
+  const def = keys.map(k => m.w[h][k]);
+  return {
+    w: Object.fromEntries(keys.map((k, j) => [k, +beta[j].toFixed(4)])),
+    n: rows.length, inAcc: acc(train, beta), outAcc: acc(test, beta), defIn: acc(train, def), defOut: acc(test, def),
+  };
+}
+
+// Resolved entries of one coin, oldest first, per enabled horizon
+async function historySamples(coinId) {
+  const out = Object.fromEntries(horizons.map(h => [h, []]));
+  if (!historyDB) return out;
+  await scanHistory({ coin: coinId }, e => {
+    if ((e.src || "binance") !== source.id) return;
+    for (const h of horizons) {
+      if (!e.raw?.[h] || e.actual[h] == null) continue;
+      out[h].push({ ts: e.ts, price: e.price, actual: e.actual[h], raw: e.raw[h], atrPct: e.atrPct[h] });
+    }
+  }, "next");
+  return out;
+}
+
+async function runCalibration() {
+  const statusEl = document.getElementById("calib-status");
+  const btn = document.getElementById("calib-run");
+  const sel = document.getElementById("calib-coin").value;
+  const from = document.getElementById("calib-source").value;
+  const coins = sel === "ALL" ? COINS : COINS.filter(c => c.id === sel);
+  btn.disabled = true;
+  statusEl.textContent = from === "backtest" ? "데이터 로드 중..." : "보정 중...";
+  try {
+    const skipped = [];
+    for (const coin of coins) {
+      let sets;
+      if (from === "backtest") {
+        const data = await loadBacktestData(coin);
+        sets = {};
+        // Replays one horizon at a time, yielding between them so the page stays responsive
+        for (const [i, h] of horizons.entries()) {
+          statusEl.textContent = `${coin.id} 리플레이 중 ${i}/${horizons.length}...`;
+          await new Promise(r => setTimeout(r));
+          Object.assign(sets, replayBacktest(data, model, [h]));
+        }
+      } else {
+        sets = await historySamples(coin.id);
+      }
+      for (const h of horizons) {
+        const samples = sets[h] || [];
+        const fit = samples.length >= CALIB_MIN ? fitWeights(samples, h) : null;
+        if (!fit) { skipped.push(`${coin.id} ${HORIZONS[h].label}(${samples.length})`); continue; }
+        const prev = calibration[calibKey(coin.id)]?.[h];
+        (calibration[calibKey(coin.id)] ||= {})[h] = { ...fit, from, preset: activePreset, ts: Date.now(), live: !!prev?.live };
+      }
+    }
+    saveCalibration();
+    renderCalibration();
+    repredict();
+    statusEl.textContent = `완료 · ${fmtTime(Date.now())}` +
+      (skipped.length ? ` · 샘플 부족(최소 ${CALIB_MIN}건): ${skipped.join(", ")}` : "");
+  } catch(e) {
+    console.error("Calibration error:", e);
+    statusEl.textContent = `실패 — ${e.message}`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+export function renderCalibration() {
+  const sel = document.getElementById("calib-coin").value;
+  const accCell = (d, f) => f == null ? "—"
+    : `${fmtNum(d,1)}% → <span class="${f >= d ? "result-hit" : "result-miss"}">${fmtNum(f,1)}%</span>`;
+  const rows = [];
+  for (const coin of calibratedCoins()) {
+    if (sel !== "ALL" && sel !== coin) continue;
+    const fits = calibration[calibKey(coin)];
+    for (const h of HORIZON_IDS) {
+      const f = fits[h];
+      if (!f) continue;
+      const w = signalKeys(model).map(k =>
+        `<td><b>${fmtNum(f.w[k],3)}</b> <span class="result-pending">${fmtNum(model.w[h][k],2)}</span></td>`).join("");
+      rows.push(`<tr data-coin="${coin}" data-h="${h}" title="${f.preset} 프리셋 기준 · ${fmtTime(f.ts)}">
+        <td>${coin}</td><td>${HORIZONS[h].label}</td><td>${f.from === "backtest" ? "백테스트" : "히스토리"} · ${f.n}건</td>${w}
+        <td>${accCell(f.defIn, f.inAcc)}</td><td>${accCell(f.defOut, f.outAcc)}</td>
+        <td><input type="checkbox" class="calib-live" ${f.live ? "checked" : ""} /></td></tr>`);
+    }
+  }
+  document.getElementById("calib-table").innerHTML = `
+    <thead><tr><th>코인</th><th>기간</th><th>데이터</th>${signalKeys(model).map(k => `<th>${k} 보정 / 기본</th>`).join("")}
+      <th>학습 적중률 기본→보정</th><th>검증 적중률 기본→보정</th><th>실시간 사용</th></tr></thead>
+    <tbody>${rows.join("") || `<tr><td colspan="${signalKeys(model).length + 6}">보정 결과 없음</td></tr>`}</tbody>`;
+}
+
+export function bindCalibrationEvents() {
+  document.getElementById("calib-run").addEventListener("click", runCalibration);
+  document.getElementById("calib-coin").addEventListener("change", renderCalibration);
+  document.getElementById("calib-table").addEventListener("change", e => {
+    if (!e.target.classList.contains("calib-live")) return;
+    const tr = e.target.closest("tr");
+    const f = calibration[calibKey(tr.dataset.coin)]?.[tr.dataset.h];
+    if (!f) return;
+    f.live = e.target.checked;
+    saveCalibration();
+    repredict();
+  });
+  renderCalibration();
+}
@@ -0,0 +1,319 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/dashboard.js
+
+   The main tab: the refresh loop behind the watched coins, their
+   summary cards, the confidence and confluence panels and the
+   detail chart panel.
+   ============================================================ */
+
+import { COIN_META, HORIZONS, HORIZON_LIMIT, TIMEFRAMES } from "../config.js";
+import { VERDICT_KO, fmtBand, fmtClock, fmtMoney, fmtNum, fmtPct } from "../format.js";
+import { COINS, activeCoin, activeTF, coinData, horizons, setActiveCoin, setActiveTF } from "../state.js";
+import { SOURCES, getKlines, getTicker, netDegraded, source, staleSince, symOf } from "../data.js";
+import { CONFLUENCE_NEUTRAL, CONFLUENCE_TFS, computePrediction } from "../prediction.js";
+import { empiricalBand, recordPrediction, resolveHistory } from "../history.js";
+import { drawDetailChart, drawSparkline, resetChart } from "../charts.js";
+import { evaluateAlerts } from "./alerts.js";
+import { modelFor } from "./calibration.js";
+import { renderHistory } from "./history.js";
+import { paperTick, runPaperAuto } from "./paper.js";
+import { dropStaleStream, lastStreamMessage, streamLive, syncStreams, withLive } from "./stream.js";
+import { renderCoinSelects } from "./watchlist.js";
+
+// ── Main Refresh ───────────────────────────────────────
+let lastRefreshAt = 0;
+let refreshFailed = false;
+
+// Every interval a live forecast needs: the enabled horizons, 1h and 1d, and the confluence timeframes
+export function predictionIntervals() { return [...new Set(["1h", "1d", ...Object.keys(CONFLUENCE_TFS), ...horizons])]; }
+
+export async function loadPredictionKlines(sym) {
+  const tfs = predictionIntervals();
+  const sets = await Promise.all(tfs.map(tf => getKlines(sym, tf, tf === "1h" ? 168 : HORIZON_LIMIT)));
+  return Object.fromEntries(tfs.map((tf, i) => [tf, withLive(sym, tf, sets[i])]));
+}
+
+// Live forecast for a watched coin: calibrated weights + empirical bands when available
+export function predictForCoin(coinId, price, sets) {
+  const pred = computePrediction(price, sets, modelFor(coinId), horizons, Date.now());
+  for (const [h, f] of Object.entries(pred.horizons))
+    f.bands = empiricalBand(coinId, h, price, f.price) || f.bands;
+  return pred;
+}
+
+export async function refresh() {
+  dropStaleStream();
+
+  const src = source;
+  try {
+    // One bad pair (e.g. not listed on this exchange) shouldn't blank the others
+    const results = await Promise.allSettled(COINS.map(async coin => {
+      const sym = symOf(coin);
+      const [restTicker, sets] = await Promise.all([getTicker(sym), loadPredictionKlines(sym)]);
+      if (src !== source) return; // source switched while loading
+      const prev = coinData[coin.id]?.ticker;
+      const ticker = prev?.ts > restTicker.ts ? prev : restTicker;
+      const price  = ticker.price;
+
+      const prediction = predictForCoin(coin.id, price, sets);
+
+      coinData[coin.id] = {
+        ticker, prediction,
+        klines: { ...(coinData[coin.id]?.klines||{}), ...sets },
+      };
+
+      updateSummaryCard(coin, ticker, prediction);
+      drawSparkline(coin.id, sets["1h"].map(k=>k.c));
+      recordPrediction(coin.id, price, prediction);
+    }));
+    results.forEach((r, i) => {
+      document.querySelector(`.scard[data-coin="${COINS[i]?.id}"]`)?.classList.toggle("scard--error", r.status === "rejected");
+      if (r.status === "rejected") console.error(`Refresh error (${COINS[i]?.id}):`, r.reason);
+    });
+    if (results.length && results.every(r => r.status === "rejected")) throw results[0].reason;
+
+    renderConfidence();
+    evaluateAlerts();
+    runPaperAuto();
+    paperTick();
+    await resolveHistory();
+    renderCoinSelects();
+    renderHistory();
+
+    if (activeCoin) drawDetailChart();
+
+    refreshFailed = false;
+    lastRefreshAt = Date.now();
+  } catch(err) {
+    console.error("Refresh error:", err);
+    refreshFailed = true;
+  }
+  renderStatus();
+}
+
+export function renderStatus() {
+  const statusEl = document.getElementById("status-text");
+  const pulseEl = document.getElementById("pulse");
+  const stale = staleSince();
+  const banner = document.getElementById("stale-banner");
+  banner.hidden = !stale;
+  const why = navigator.onLine === false ? "오프라인" : "갱신 실패";
+  if (stale) banner.textContent = `⚠ ${why} — ${fmtClock(stale)} 이후 갱신되지 않은 마지막 데이터를 표시하고 있습니다. 연결되면 자동으로 새로 고칩니다.`;
+  const degraded = !refreshFailed && (stale ? `${why} · ${fmtClock(stale)} 기준` : netDegraded());
+  pulseEl.classList.toggle("error", refreshFailed);
+  pulseEl.classList.toggle("degraded", !!degraded);
+  pulseEl.classList.toggle("poll", !refreshFailed && !degraded && !streamLive());
+  pulseEl.title = degraded || "";
+  if (refreshFailed) { statusEl.textContent = `오류 — 재시도 중...`; return; }
+  const live = streamLive();
+  const ts = live ? lastStreamMessage() : lastRefreshAt;
+  statusEl.textContent = `${source.label} · ${live ? "LIVE" : "POLL"} · ${ts ? new Date(ts).toLocaleTimeString("ko-KR") : "—"}` +
+    (degraded ? ` · ⚠ ${degraded}` : "");
+}
+
+// ── Summary Cards ──────────────────────────────────────
+const BAND_METHOD = { atr: "ATR 기반", emp: "과거 오차 기반" };
+
+export function updateSummaryCard(coin, ticker, prediction) {
+  const p = coin.id.toLowerCase();
+  const price = ticker.price;
+  const pct = ticker.changePct;
+  const el = id => document.getElementById(id);
+
+  el(`${p}-price`).textContent = fmtMoney(price);
+
+  const badge = el(`${p}-change`);
+  badge.textContent = fmtPct(pct);
+  badge.className = `scard__badge ${pct >= 0 ? "up" : "down"}`;
+
+  // Forecast + % + band per horizon (a just-enabled one may not have candles yet)
+  for (const h of horizons) {
+    const f = prediction.horizons[h];
+    const valEl = el(`${p}-p${h}`), pctEl = el(`${p}-p${h}-pct`), bandEl = el(`${p}-p${h}-band`);
+    if (!valEl || !f) continue;
+    valEl.textContent = fmtMoney(f.price);
+    valEl.className = `sp__val ${f.price >= price ? "up" : "down"}`;
+    const diff = ((f.price - price) / price) * 100;
+    pctEl.textContent = fmtPct(diff);
+    pctEl.className = `sp__pct ${diff >= 0 ? "up" : "down"}`;
+    bandEl.textContent = `90% ${fmtBand(f.bands.p90, price)}`;
+    bandEl.title = `50% ${fmtBand(f.bands.p50, price)} · ${BAND_METHOD[f.bands.method]}`;
+  }
+
+  el(`${p}-indicators`).textContent =
+    `RSI ${fmtNum(prediction.rsi,1)} · MACD ${prediction.macd.histogram>=0?"▲":"▼"}${fmtNum(Math.abs(prediction.macd.histogram),2)} · ` +
+    `BB%B ${fmtNum(prediction.bb.pctB*100,1)}% · Stoch ${fmtNum(prediction.stoch.k,1)}/${fmtNum(prediction.stoch.d,1)} · ` +
+    `ATR ${fmtMoney(prediction.atr)}`;
+
+  document.querySelector(`.scard[data-coin="${coin.id}"]`)?.classList.remove("scard--loading");
+}
+
+export function renderSummaryCards() {
+  const wrap = document.getElementById("summary-cards");
+  wrap.innerHTML = COINS.map(coin => {
+    const p = coin.id.toLowerCase();
+    const iconCls = COIN_META[coin.id] ? `scard__icon--${p}` : "scard__icon--generic";
+    return `
+    <div class="scard scard--loading" data-coin="${coin.id}">
+      <div class="scard__top">
+        <div class="scard__icon ${iconCls}">${coin.icon}</div>
+        <div class="scard__info">
+          <h2 class="scard__name">${coin.name}</h2>
+          <span class="scard__pair">${coin.id} / ${source.quote}</span>
+        </div>
+        <div class="scard__badge" id="${p}-change">—</div>
+      </div>
+      <div class="scard__price" id="${p}-price">—</div>
+      <div class="scard__preds">
+        ${horizons.map(h => `<div class="sp"><span class="sp__label">${HORIZONS[h].label} 예측</span><span class="sp__val" id="${p}-p${h}">—</span><span class="sp__pct" id="${p}-p${h}-pct"></span><span class="sp__band" id="${p}-p${h}-band"></span></div>`).join(`<div class="sp-div"></div>`)}
+      </div>
+      <div class="scard__indicators" id="${p}-indicators">—</div>
+      <button class="scard__expand ${activeCoin === coin.id ? "active" : ""}" data-target="${coin.id}" title="상세 차트 보기">차트 열기 ▾</button>
+    </div>`;
+  }).join("");
+
+  // Refill from what we already know so a reorder doesn't flash empty cards
+  for (const coin of COINS) {
+    const cd = coinData[coin.id];
+    if (!cd?.prediction) continue;
+    updateSummaryCard(coin, cd.ticker, cd.prediction);
+    drawSparkline(coin.id, cd.klines["1h"].map(k=>k.c));
+  }
+}
+
+export function refreshSparklines() {
+  for (const coin of COINS) {
+    const cd = coinData[coin.id];
+    if (!cd?.klines?.["1h"]) continue;
+    drawSparkline(coin.id, cd.klines["1h"].map(k=>k.c));
+  }
+}
+
+export function renderSourceLabels() {
+  const sel = document.getElementById("source-select");
+  if (!sel.options.length) sel.innerHTML = Object.values(SOURCES).map(s => `<option value="${s.id}">${s.label}</option>`).join("");
+  sel.value = source.id;
+  document.querySelectorAll(".scard[data-coin]").forEach(card => {
+    card.querySelector(".scard__pair").textContent = `${card.dataset.coin} / ${source.quote}`;
+  });
+  document.getElementById("alt-source").textContent = `${source.label} ${source.quote}`;
+}
+
+// ── Confidence Dashboard ───────────────────────────────
+export function renderConfidence() {
+  const grid = document.getElementById("conf-grid");
+  grid.innerHTML = "";
+  for (const coin of COINS) {
+    const cd = coinData[coin.id];
+    if (!cd?.prediction) continue;
+    const pred = cd.prediction;
+    const vCls = pred.overall==="bullish"?"bullish":pred.overall==="bearish"?"bearish":"neutral";
+    const vTxt = pred.overall==="bullish"?"강세":pred.overall==="bearish"?"약세":"중립";
+
+    let bars = "";
+    for (const [name, sig] of Object.entries(pred.signals)) {
+      const cls = sig.direction==="bullish"?"bullish":sig.direction==="bearish"?"bearish":"neutral";
+      bars += `<div class="conf-bar-row"><span class="conf-bar-row__label">${name}</span><div class="conf-bar-track"><div class="conf-bar-fill ${cls}" style="width:${Math.min(sig.strength,100)}%"></div></div><span class="conf-bar-row__val">${fmtNum(sig.strength,0)}%</span></div>`;
+    }
+
+    // Volume context: thin volume damps the trend signals, heavy volume confirms them
+    const v = pred.volume;
+    const volNote = `거래량 ×${fmtNum(v.ratio,2)} (20봉 평균 대비) · 추세 신호 ×${fmtNum(v.conf,2)}` +
+      (v.buyShare == null ? "" : ` · 매수 체결 ${fmtNum(v.buyShare*100,0)}%`);
+
+    const card = document.createElement("div");
+    card.className = "conf-card";
+    card.innerHTML = `<div class="conf-card__head"><span class="conf-card__coin">${coin.icon} ${coin.name}</span><span class="conf-card__verdict ${vCls}">${vTxt}</span></div><div class="conf-bar-group">${bars}</div><div class="conf-card__vol ${v.conf < 0.8 ? "thin" : v.conf > 1.2 ? "heavy" : ""}">${volNote}</div>`;
+    grid.appendChild(card);
+  }
+  renderConfluence();
+}
+
+// Indicator × timeframe matrix per coin, with the weighted score behind the verdict
+function renderConfluence() {
+  const grid = document.getElementById("confluence-grid");
+  grid.innerHTML = "";
+  const mark = { bullish: "▲", bearish: "▼", neutral: "·" };
+  for (const coin of COINS) {
+    const c = coinData[coin.id]?.prediction?.confluence;
+    if (!c) continue;
+    const head = `<tr><th></th>${c.tfs.map(tf => `<th>${tf}</th>`).join("")}</tr>`;
+    const rows = Object.entries(c.rows).map(([k, byTf]) =>
+      `<tr><th>${k}</th>${c.tfs.map(tf => { const d = byTf[tf]; return `<td class="${d || ""}">${d ? mark[d] : "—"}</td>`; }).join("")}</tr>`).join("");
+    const foot = `<tr class="confluence-table__score"><th>점수</th>${c.tfs.map(tf =>
+      `<td class="${c.scores[tf] > 0 ? "bullish" : c.scores[tf] < 0 ? "bearish" : "neutral"}">${fmtNum(c.scores[tf]*100, 0)}</td>`).join("")}</tr>`;
+    const cls = c.score > CONFLUENCE_NEUTRAL ? "bullish" : c.score < -CONFLUENCE_NEUTRAL ? "bearish" : "neutral";
+    const pct = Math.abs(c.score) * 50;
+
+    const card = document.createElement("div");
+    card.className = "conf-card";
+    card.innerHTML = `<div class="conf-card__head"><span class="conf-card__coin">${coin.icon} ${coin.name}</span><span class="conf-card__verdict ${cls}">${VERDICT_KO[cls]} ${c.score >= 0 ? "+" : ""}${fmtNum(c.score*100, 0)}</span></div>` +
+      `<div class="confluence-meter"><div class="confluence-meter__fill ${cls}" style="${c.score >= 0 ? "left:50%" : `left:${50 - pct}%`};width:${pct}%"></div></div>` +
+      `<table class="confluence-table">${head}${rows}${foot}</table>`;
+    grid.appendChild(card);
+  }
+}
+
+// ── Detail Panel Control ───────────────────────────────
+function openDetail(coinId) {
+  const coin = COINS.find(c=>c.id===coinId);
+  if(!coin) return;
+  setActiveCoin(coinId);
+  document.getElementById("detail-panel").style.display = "";
+  document.getElementById("dp-icon").textContent = coin.icon;
+  document.getElementById("dp-title").textContent = coin.name;
+  document.getElementById("dp-pair").textContent = `${coin.id} / ${source.quote}`;
+  document.querySelectorAll(".scard__expand").forEach(b=>b.classList.remove("active"));
+  document.querySelector(`.scard__expand[data-target="${coinId}"]`)?.classList.add("active");
+  syncStreams();
+  loadTimeframeAndDraw();
+  document.getElementById("detail-panel").scrollIntoView({ behavior:"smooth", block:"nearest" });
+}
+
+export function closeDetail() {
+  setActiveCoin(null);
+  document.getElementById("detail-panel").style.display = "none";
+  document.querySelectorAll(".scard__expand").forEach(b=>b.classList.remove("active"));
+  syncStreams();
+}
+
+export async function loadTimeframeAndDraw() {
+  if (!activeCoin) return;
+  resetChart();
+  const coin = COINS.find(c=>c.id===activeCoin);
+  const tf = TIMEFRAMES[activeTF], src = source;
+  try {
+    const kl = withLive(symOf(coin), tf.interval, await getKlines(symOf(coin), tf.interval, tf.limit));
+    if (src !== source) return;
+    if (!coinData[coin.id]) coinData[coin.id] = {};
+    if (!coinData[coin.id].klines) coinData[coin.id].klines = {};
+    coinData[coin.id].klines[activeTF] = kl;
+    drawDetailChart();
+  } catch(e) { console.error("TF load error:", e); }
+}
+
+export function bindDetailEvents() {
+  // Summary cards are re-rendered with the watchlist, so delegate
+  document.getElementById("summary-cards").addEventListener("click", e => {
+    const btn = e.target.closest(".scard__expand");
+    if (!btn) return;
+    const t = btn.dataset.target;
+    activeCoin === t ? closeDetail() : openDetail(t);
+  });
+
+  document.getElementById("dp-close").addEventListener("click", closeDetail);
+
+  document.getElementById("tf-group").addEventListener("click", e => {
+    const btn = e.target.closest(".tf-btn");
+    if (!btn) return;
+    setActiveTF(btn.dataset.tf);
+    document.querySelectorAll(".tf-btn").forEach(b=>b.classList.remove("tf-btn--active"));
+    btn.classList.add("tf-btn--active");
+    syncStreams();
+    loadTimeframeAndDraw();
+  });
+
+  ["ov-ema","ov-bb","ov-vol","ov-pat","ov-sr","ov-vwap","ov-ichi","ov-psar","ov-st","ov-fib","ov-rsi","ov-macd","ov-stoch","ov-atr","ov-adx","ov-obv"].forEach(id =>
+    document.getElementById(id)?.addEventListener("change", drawDetailChart)
+  );
+}
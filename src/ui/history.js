@@ -0,0 +1,135 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/history.js
+
+   The prediction history panel: accuracy summary, the paged
+   table of recorded forecasts and its filters.
+   ============================================================ */
+
+import { HISTORY_PAGE, HORIZONS } from "../config.js";
+import { fmtDuration, fmtMoney, fmtNum, fmtTime } from "../format.js";
+import { SOURCES, historyDB } from "../data.js";
+import { bandHit, clearHistory, countHistory, getHistoryStats, isApprox, isHit, pageHistory } from "../history.js";
+import { renderCoinSelects } from "./watchlist.js";
+
+// ── History Panel ──────────────────────────────────────
+let historyPage = 0;
+let historyRenderSeq = 0;
+
+// Coin + date range picked above the history table
+export function historyQuery() {
+  const coin = document.getElementById("history-coin").value;
+  const range = document.getElementById("history-range").value;
+  const q = coin === "ALL" ? {} : { coin };
+  if (range === "custom") {
+    const from = document.getElementById("history-from").value;
+    const to = document.getElementById("history-to").value;
+    if (from) q.from = new Date(`${from}T00:00`).getTime();
+    if (to) q.to = new Date(`${to}T00:00`).getTime() + 86_400_000 - 1;
+  } else if (range !== "all") {
+    q.from = Date.now() - +range * 86_400_000;
+  }
+  return q;
+}
+
+export async function renderHistory() {
+  const sumEl = document.getElementById("history-summary");
+  const tbody = document.getElementById("history-body");
+  if (!historyDB) {
+    sumEl.innerHTML = `<span class="result-pending">히스토리 저장소(IndexedDB)를 열 수 없습니다</span>`;
+    return;
+  }
+  const seq = ++historyRenderSeq;
+  const q = historyQuery();
+  const [stats, count] = await Promise.all([getHistoryStats(q), countHistory(q)]);
+  const pages = Math.max(1, Math.ceil(count / HISTORY_PAGE));
+  historyPage = Math.min(historyPage, pages - 1);
+  const items = await pageHistory(q, historyPage * HISTORY_PAGE, HISTORY_PAGE);
+  if (seq !== historyRenderSeq) return; // a newer render started meanwhile
+  const muted = t => `<small style="font-size:0.6rem;color:var(--text-muted)">${t}</small>`;
+
+  // Summary
+  sumEl.innerHTML = `
+    <div class="hsummary-item">
+      <span class="hsummary-item__label">기간 내 기록</span>
+      <span class="hsummary-item__val">${stats.total}건</span>
+    </div>` + Object.entries(stats.horizons).map(([h, s]) => `
+    <div class="hsummary-item">
+      <span class="hsummary-item__label">${HORIZONS[h].label} 방향 적중률</span>
+      <span class="hsummary-item__val ${s.accuracy !== null ? (s.accuracy >= 50 ? 'up' : 'down') : 'neutral'}">
+        ${s.accuracy !== null ? fmtNum(s.accuracy,1)+'%' : '—'} ${muted(`(${s.resolved}건)`)}
+      </span>
+      ${muted(`오차 ${s.avgErr !== null ? fmtNum(s.avgErr,3)+'%' : '—'} · 구간 50/90 ${s.cover ? `${fmtNum(s.cover.in50,0)}%/${fmtNum(s.cover.in90,0)}%` : '—'}${s.approx ? ` · 근사 ${s.approx}건` : ""}`)}
+    </div>`).join("");
+
+  // Horizon picker for the table
+  const hSel = document.getElementById("history-horizon");
+  const hs = Object.keys(stats.horizons);
+  if (hSel.dataset.ids !== hs.join()) {
+    const cur = hSel.value;
+    hSel.dataset.ids = hs.join();
+    hSel.innerHTML = hs.map(h => `<option value="${h}">${HORIZONS[h].label}</option>`).join("");
+    hSel.value = hs.includes(cur) ? cur : hs[0] || "";
+  }
+  const h = hSel.value;
+
+  // Table
+  tbody.innerHTML = "";
+  for (const e of items) {
+    const tr = document.createElement("tr");
+    const cur = SOURCES[e.src || "binance"]?.currency;
+    if (e.preds[h] == null) {
+      tr.innerHTML = `<td>${fmtTime(e.ts)}</td><td>${e.coin}</td><td>${fmtMoney(e.price, cur)}</td>
+        <td>—</td><td>—</td><td class="result-pending">이 주기 예측 없음</td>`;
+      tbody.appendChild(tr);
+      continue;
+    }
+
+    const result = e.actual[h] !== null ? (isHit(e, h) ? "적중" : "실패") : "대기중";
+    const cls = result === "적중" ? "result-hit" : result === "실패" ? "result-miss" : "result-pending";
+    const b = bandHit(e, h);
+    const bandTag = b === null ? "" : ` <small class="band-tag">${b ? `${b}% 구간` : "구간 밖"}</small>`;
+    const late = e.late?.[h];
+    const approxTag = isApprox(e, h)
+      ? ` <small class="approx-tag" title="마감 시각 기준 ${late < 0 ? "이전" : "이후"} ${fmtDuration(late)} 가격으로 채점한 근사값">≈ 근사</small>` : "";
+
+    tr.innerHTML = `
+      <td>${fmtTime(e.ts)}</td>
+      <td>${e.coin}</td>
+      <td>${fmtMoney(e.price, cur)}</td>
+      <td>${fmtMoney(e.preds[h], cur)}</td>
+      <td title="${e.actualTs[h] ? `${fmtTime(e.actualTs[h])} 기준` : ""}">${e.actual[h] !== null ? fmtMoney(e.actual[h], cur) : '—'}</td>
+      <td class="${cls}">${result}${bandTag}${approxTag}</td>`;
+    tbody.appendChild(tr);
+  }
+
+  // Pager
+  const first = historyPage * HISTORY_PAGE;
+  document.getElementById("history-page").textContent =
+    count ? `${first + 1}–${first + items.length} / ${count.toLocaleString()}건` : "기록 없음";
+  document.getElementById("history-prev").disabled = historyPage === 0;
+  document.getElementById("history-next").disabled = historyPage >= pages - 1;
+}
+
+export function bindHistoryEvents() {
+  // Filter / range / paging
+  const toFirstPage = () => { historyPage = 0; renderHistory(); };
+  document.getElementById("history-coin")?.addEventListener("change", toFirstPage);
+  document.getElementById("history-horizon")?.addEventListener("change", renderHistory);
+  document.getElementById("history-range")?.addEventListener("change", e => {
+    document.getElementById("history-dates").style.display = e.target.value === "custom" ? "" : "none";
+    toFirstPage();
+  });
+  ["history-from", "history-to"].forEach(id =>
+    document.getElementById(id)?.addEventListener("change", toFirstPage));
+  document.getElementById("history-prev")?.addEventListener("click", () => { historyPage--; renderHistory(); });
+  document.getElementById("history-next")?.addEventListener("click", () => { historyPage++; renderHistory(); });
+
+  // Clear
+  document.getElementById("history-clear")?.addEventListener("click", async () => {
+    if (!confirm("저장된 예측 히스토리를 모두 삭제할까요?")) return;
+    await clearHistory();
+    historyPage = 0;
+    renderCoinSelects();
+    renderHistory();
+  });
+}
@@ -0,0 +1,249 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/model.js
+
+   The model settings panel: named presets of weights and
+   thresholds, the editor, the preset comparison and the
+   forecast horizon picker.
+   ============================================================ */
+
+import { HORIZONS, HORIZON_IDS } from "../config.js";
+import { VERDICT_KO, fmtNum, fmtPct } from "../format.js";
+import { COINS, activeCoin, coinData, horizons, model, saveHorizons, setModel } from "../state.js";
+import { BUILTIN_PRESETS, EXTRA_SIGNALS, computePrediction, normalizeModel, runBacktest, signalKeys } from "../prediction.js";
+import { drawDetailChart } from "../charts.js";
+import { renderAlerts } from "./alerts.js";
+import { altDetail, renderAltDetail } from "./alts.js";
+import { renderCalibration } from "./calibration.js";
+import { predictForCoin, refresh, renderConfidence, renderSummaryCards, updateSummaryCard } from "./dashboard.js";
+import { syncStreams } from "./stream.js";
+
+// ── Model Presets ──────────────────────────────────────
+const MODEL_PRESETS_KEY = "cpp_model_presets";
+const MODEL_ACTIVE_KEY = "cpp_model_active";
+function loadModelPresets() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(MODEL_PRESETS_KEY)) || {};
+    return Object.fromEntries(Object.entries(raw).filter(([n]) => !BUILTIN_PRESETS[n]).map(([n, m]) => [n, normalizeModel(m)]));
+  } catch { return {}; }
+}
+function saveModelPresets() {
+  try { localStorage.setItem(MODEL_PRESETS_KEY, JSON.stringify(customPresets)); } catch {}
+}
+function allPresets() { return { ...BUILTIN_PRESETS, ...customPresets }; }
+
+function loadActivePreset() {
+  try { const n = localStorage.getItem(MODEL_ACTIVE_KEY); return allPresets()[n] ? n : "기본"; }
+  catch { return "기본"; }
+}
+
+let customPresets = loadModelPresets();
+export let activePreset = loadActivePreset();
+setModel(allPresets()[activePreset]);
+
+// ── Model Settings Panel ───────────────────────────────
+const MODEL_FIELDS = [
+  { key: "rsiHigh",     label: "RSI 강한 과매수", step: 1 },
+  { key: "rsiSoftHigh", label: "RSI 과매수",      step: 1 },
+  { key: "rsiSoftLow",  label: "RSI 과매도",      step: 1 },
+  { key: "rsiLow",      label: "RSI 강한 과매도", step: 1 },
+  { key: "bbHigh",      label: "BB %B 상단",      step: 0.01 },
+  { key: "bbLow",       label: "BB %B 하단",      step: 0.01 },
+  { key: "stochHigh",   label: "Stoch 과매수",    step: 1 },
+  { key: "stochLow",    label: "Stoch 과매도",    step: 1 },
+];
+const MODEL_TOGGLES = [
+  { key: "extras", label: `확장 지표 사용 (${EXTRA_SIGNALS.join(" · ")})` },
+  { key: "srCap",  label: "강한 지지 / 저항 구간에서 예측 제한" },
+];
+
+function renderModelPanel() {
+  const sel = document.getElementById("model-preset");
+  sel.innerHTML = Object.keys(allPresets()).map(n =>
+    `<option value="${n}">${n}${BUILTIN_PRESETS[n] ? " (기본 제공)" : ""}</option>`).join("");
+  sel.value = activePreset;
+  document.getElementById("model-name").value = BUILTIN_PRESETS[activePreset] ? "" : activePreset;
+  document.getElementById("model-delete").disabled = !!BUILTIN_PRESETS[activePreset];
+
+  // One column per enabled horizon; disabled ones keep their values untouched
+  const cell = (h, attrs, step, v) =>
+    `<td><input type="number" class="alert-input alert-input--sm" data-h="${h}" ${attrs} step="${step}" value="${v}" /></td>`;
+  const wRows = signalKeys(model).map(s => `
+    <tr><td>${s}</td>${horizons.map(h => cell(h, `data-sig="${s}"`, 0.05, model.w[h][s])).join("")}</tr>`).join("") + `
+    <tr><td>ATR 배수</td>${horizons.map(h => cell(h, `data-scale="atr"`, 1, model.atr[h])).join("")}</tr>
+    <tr><td>최대 변동</td>${horizons.map(h => cell(h, `data-scale="cap"`, 0.005, model.cap[h])).join("")}</tr>`;
+  const fields = MODEL_FIELDS.map(f => `
+    <label class="model-field"><span>${f.label}</span>
+      <input type="number" class="alert-input alert-input--sm" data-key="${f.key}" step="${f.step}" value="${model[f.key]}" />
+    </label>`).join("");
+  document.getElementById("model-form").innerHTML = `
+    <table class="history-table model-weights"><thead><tr><th>가중치</th>${horizons.map(h => `<th>${HORIZONS[h].label}</th>`).join("")}</tr></thead><tbody>${wRows}</tbody></table>
+    <div class="model-fields">${fields}${MODEL_TOGGLES.map(t => `
+      <label class="model-field model-field--check"><input type="checkbox" data-key="${t.key}" ${model[t.key] ? "checked" : ""} />
+        <span>${t.label}</span></label>`).join("")}
+    </div>`;
+}
+
+function readModelForm() {
+  const m = structuredClone(model);
+  for (const el of document.querySelectorAll("#model-form input")) {
+    const { h, sig, scale, key } = el.dataset;
+    if (sig) m.w[h][sig] = el.value;
+    else if (scale) m[scale][h] = el.value;
+    else if (el.type === "checkbox") m[key] = el.checked;
+    else m[key] = el.value;
+  }
+  return normalizeModel(m);
+}
+
+// Re-run the ensemble on the data already loaded; no refetch needed
+export function repredict() {
+  for (const coin of COINS) {
+    const cd = coinData[coin.id];
+    if (!cd?.prediction || !cd.klines?.["1h"]) continue;
+    cd.prediction = predictForCoin(coin.id, cd.ticker.price, cd.klines);
+    updateSummaryCard(coin, cd.ticker, cd.prediction);
+  }
+  renderConfidence();
+  if (activeCoin) drawDetailChart();
+  if (altDetail?.ticker) renderAltDetail();
+}
+
+function setModelStatus(text) { document.getElementById("model-status").textContent = text; }
+
+function selectPreset(name) {
+  if (!allPresets()[name]) return;
+  activePreset = name;
+  setModel(allPresets()[name]);
+  try { localStorage.setItem(MODEL_ACTIVE_KEY, name); } catch {}
+  renderModelPanel();
+  setModelStatus(`"${name}" 적용됨`);
+  renderCalibration();
+  repredict();
+}
+
+function savePreset() {
+  const name = document.getElementById("model-name").value.replace(/[<>"&]/g, "").trim();
+  if (!name) { setModelStatus("프리셋 이름을 입력하세요"); return; }
+  if (BUILTIN_PRESETS[name]) { setModelStatus("기본 제공 프리셋은 덮어쓸 수 없습니다"); return; }
+  customPresets[name] = readModelForm();
+  saveModelPresets();
+  selectPreset(name);
+  setModelStatus(`"${name}" 저장됨`);
+}
+
+function deletePreset() {
+  if (BUILTIN_PRESETS[activePreset]) return;
+  delete customPresets[activePreset];
+  saveModelPresets();
+  selectPreset("기본");
+}
+
+// Every preset on the same loaded klines: current forecasts per coin, plus a
+// replay over the cached candles of every horizon for a rough hit rate.
+// Replays are cached per preset and coin until its candle arrays change
+// (stream merges and refreshes replace them), and uncached ones yield between runs.
+const compareReplays = new WeakMap(); // model → coinId → { kl, hits, n }
+let compareSeq = 0;
+
+function replayHits(m, coinId, sets) {
+  const kl = horizons.map(h => sets[h]);
+  const byCoin = compareReplays.get(m) || new Map();
+  compareReplays.set(m, byCoin);
+  const hit = byCoin.get(coinId);
+  if (hit && hit.kl.length === kl.length && hit.kl.every((a, i) => a === kl[i])) return hit;
+  let hits = 0, n = 0;
+  for (const r of Object.values(runBacktest(sets, m, horizons)))
+    if (r.samples) { hits += r.hitRate / 100 * r.samples; n += r.samples; }
+  const res = { kl, hits, n };
+  byCoin.set(coinId, res);
+  return res;
+}
+
+async function renderPresetCompare() {
+  const seq = ++compareSeq;
+  const table = document.getElementById("model-compare");
+  const coins = COINS.filter(c => coinData[c.id]?.klines?.["1h"]);
+  const presets = { ...allPresets() };
+  if (model !== presets[activePreset]) presets[`${activePreset} (편집 중)`] = model;
+  const pctOf = (v, p) => (v - p) / p * 100;
+  if (!coins.length) {
+    table.innerHTML = `<tbody><tr><td>데이터 로딩 후 비교할 수 있습니다</td></tr></tbody>`;
+    return;
+  }
+
+  const btn = document.getElementById("model-compare-btn");
+  btn.disabled = true;
+  const rows = [];
+  try {
+    for (const [name, m] of Object.entries(presets)) {
+      let hits = 0, n = 0;
+      const cells = [];
+      for (const c of coins) {
+        const cd = coinData[c.id];
+        if (!cd?.klines?.["1h"]) { cells.push("<td>—</td>"); continue; }
+        const price = cd.ticker.price;
+        const pred = computePrediction(price, cd.klines, m, horizons, Date.now());
+        const r = replayHits(m, c.id, cd.klines);
+        hits += r.hits; n += r.n;
+        const pcts = horizons.map(h => {
+          const f = pred.horizons[h];
+          if (!f) return "—";
+          const v = pctOf(f.price, price);
+          return `<span class="${v>=0?"result-hit":"result-miss"}">${fmtPct(v)}</span>`;
+        }).join(" / ");
+        cells.push(`<td>${pcts} <span class="result-pending">${VERDICT_KO[pred.overall]}</span></td>`);
+        await new Promise(r => setTimeout(r)); // keep the page responsive between replays
+        if (seq !== compareSeq) return; // a newer compare started meanwhile
+      }
+      rows.push(`<tr${name === activePreset ? ' class="model-active"' : ""}><td>${name}</td>${cells.join("")}<td>${n ? fmtNum(hits / n * 100, 1) + "%" : "—"} <span class="result-pending">(${n})</span></td></tr>`);
+    }
+    const hLabels = horizons.map(h => HORIZONS[h].label).join(" / ");
+    const head = `<tr><th>프리셋</th>${coins.map(c => `<th>${c.id} ${hLabels}</th>`).join("")}<th>리플레이 적중률</th></tr>`;
+    table.innerHTML = `<thead>${head}</thead><tbody>${rows.join("")}</tbody>`;
+  } finally {
+    if (seq === compareSeq) btn.disabled = false;
+  }
+}
+
+export function bindModelEvents() {
+  document.getElementById("model-preset").addEventListener("change", e => selectPreset(e.target.value));
+  document.getElementById("model-save").addEventListener("click", savePreset);
+  document.getElementById("model-delete").addEventListener("click", deletePreset);
+  document.getElementById("model-compare-btn").addEventListener("click", renderPresetCompare);
+  document.getElementById("model-reset").addEventListener("click", () => selectPreset(activePreset));
+  document.getElementById("model-form").addEventListener("change", e => {
+    setModel(readModelForm());
+    if (e.target.dataset.key === "extras") renderModelPanel(); // weight rows follow the signal set
+    setModelStatus(`"${activePreset}" 수정됨 — 저장하지 않으면 새로고침 시 사라집니다`);
+    renderCalibration();
+    repredict();
+  });
+  renderModelPanel();
+}
+
+function renderHorizonPicker() {
+  document.getElementById("horizon-picker").innerHTML = HORIZON_IDS.map(h =>
+    `<label class="overlay-toggle"><input type="checkbox" value="${h}" ${horizons.includes(h) ? "checked" : ""} /><span>${HORIZONS[h].label}</span></label>`
+  ).join("");
+}
+
+// New intervals need their candles, so this goes through a full refresh
+function setHorizons(hs) {
+  saveHorizons(hs);
+  renderHorizonPicker();
+  renderSummaryCards();
+  renderModelPanel();
+  renderCalibration();
+  renderAlerts();
+  syncStreams();
+  refresh();
+}
+
+export function bindHorizonEvents() {
+  document.getElementById("horizon-picker").addEventListener("change", e => {
+    const hs = [...document.querySelectorAll("#horizon-picker input:checked")].map(i => i.value);
+    if (!hs.length) { e.target.checked = true; return; } // keep at least one
+    setHorizons(hs);
+  });
+  renderHorizonPicker();
+}
@@ -0,0 +1,282 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/paper.js
+
+   The paper trading account: orders, fills at ticker prices, the
+   optional auto-trader and the equity curve.
+   ============================================================ */
+
+import { HORIZONS } from "../config.js";
+import { fmtMoney, fmtNum, fmtPct, fmtTime } from "../format.js";
+import { COINS, coinData, horizons } from "../state.js";
+import { SOURCES, source } from "../data.js";
+import { drawEquityChart } from "../charts.js";
+import { showToast } from "./alerts.js";
+
+// ── Paper Trading ──────────────────────────────────────
+// A virtual USDT account trading the watched coins at live ticker prices.
+// Spot only: buys need free cash, sells need a position. Market orders fill at
+// once with slippage on top of the fee; limit orders rest until the ticker
+// reaches their price and fill there. Only USDT-quoted sources with market prices
+// can trade, so KRW and Mock prices never land in the account. Positions and
+// orders keep the source they were placed on and are only marked and filled there.
+const PAPER_KEY = "cpp_paper";
+const PAPER_START = 10_000;     // USDT
+const PAPER_MIN_ORDER = 1;      // USDT
+const PAPER_TRADES_MAX = 500;
+const PAPER_EQUITY_MAX = 1000;
+const PAPER_EQUITY_MS = 60_000; // at most one equity point a minute between fills
+const PAPER_TAGS = { market: "시장가", limit: "지정가", auto: "자동" };
+
+let paper = loadPaper();
+
+function newPaper(start = PAPER_START, cfg = {}) {
+  return {
+    start, cash: start, positions: {}, orders: [], trades: [], equity: [[Date.now(), start]],
+    fee: cfg.fee ?? 0.1, slippage: cfg.slippage ?? 0.05, auto: cfg.auto ?? false, autoSize: cfg.autoSize ?? 10,
+  };
+}
+function loadPaper() {
+  try {
+    const p = JSON.parse(localStorage.getItem(PAPER_KEY));
+    if (p && Number.isFinite(p.cash) && p.positions && Array.isArray(p.orders) && Array.isArray(p.trades)) {
+      // Accounts saved before positions kept their source traded on the default one
+      for (const x of [...Object.values(p.positions), ...p.orders]) x.src ||= "binance";
+      return { ...newPaper(p.start), ...p };
+    }
+  } catch {}
+  return newPaper();
+}
+function savePaper() {
+  try { localStorage.setItem(PAPER_KEY, JSON.stringify(paper)); } catch {}
+}
+
+const paperTradable = () => source.quote === "USDT" && source.id !== "mock";
+const onSource = x => x.src === source.id;
+const paperCost = (qty, price) => qty * price * (1 + paper.fee/100);
+
+// Cash not already promised to resting buy orders
+function paperAvailable() {
+  return paper.cash - paper.orders.filter(o => o.side === "buy").reduce((s, o) => s + paperCost(o.qty, o.price), 0);
+}
+// Quantity not already promised to resting sell orders
+function paperFree(coin) {
+  return (paper.positions[coin]?.qty || 0) - paper.orders.filter(o => o.side === "sell" && o.coin === coin).reduce((s, o) => s + o.qty, 0);
+}
+// Positions of coins no longer watched keep their last seen price
+function paperEquity() {
+  return paper.cash + Object.values(paper.positions).reduce((s, p) => s + p.qty * p.last, 0);
+}
+
+// Fees are folded into the cost basis, so a position's PnL is net of both sides
+function paperFill(coin, side, qty, price, tag) {
+  const fee = qty * price * paper.fee/100;
+  const pos = paper.positions[coin];
+  let pnl = null;
+  if (side === "buy") {
+    paper.cash -= qty * price + fee;
+    const q = (pos?.qty || 0) + qty;
+    paper.positions[coin] = {
+      qty: q, avg: ((pos ? pos.qty * pos.avg : 0) + qty * price + fee) / q, last: price,
+      ts: pos?.ts || Date.now(), auto: pos ? pos.auto && tag === "auto" : tag === "auto", src: source.id,
+    };
+  } else {
+    paper.cash += qty * price - fee;
+    pnl = qty * (price - pos.avg) - fee;
+    pos.qty -= qty;
+    pos.last = price;
+    if (pos.qty <= 1e-12) delete paper.positions[coin];
+  }
+  paper.trades.push({ ts: Date.now(), coin, side, qty, price, fee, pnl, tag });
+  if (paper.trades.length > PAPER_TRADES_MAX) paper.trades = paper.trades.slice(-PAPER_TRADES_MAX);
+  pushPaperEquity();
+}
+
+function pushPaperEquity() {
+  paper.equity.push([Date.now(), paperEquity()]);
+  if (paper.equity.length > PAPER_EQUITY_MAX) paper.equity = paper.equity.slice(-PAPER_EQUITY_MAX);
+}
+
+// Error message, or null once the order is filled / resting
+function placePaperOrder(coin, side, type, qty, limit, tag = type) {
+  if (!paperTradable()) return "모의 투자는 USDT 마켓 소스(Binance · Bybit)에서만 가능합니다";
+  const pos = paper.positions[coin];
+  if (pos && !onSource(pos)) return `${coin} 포지션은 ${SOURCES[pos.src]?.label || pos.src}에서 열렸습니다 — 그 소스에서만 거래할 수 있습니다`;
+  const last = coinData[coin]?.ticker.price;
+  if (!last) return "시세를 아직 받지 못했습니다";
+  if (type === "limit" && !(limit > 0)) return "지정가를 입력하세요";
+  const price = type === "limit" ? limit : last * (1 + (side === "buy" ? 1 : -1) * paper.slippage/100);
+  if (!(qty * price >= PAPER_MIN_ORDER)) return `최소 주문 금액은 ${PAPER_MIN_ORDER} USDT입니다`;
+  if (side === "buy" && paperCost(qty, price) > paperAvailable() + 1e-9) return "가용 잔고가 부족합니다";
+  if (side === "sell" && qty > paperFree(coin) + 1e-12) return "매도 가능 수량이 부족합니다";
+
+  if (type === "market") paperFill(coin, side, qty, price, tag);
+  else paper.orders.push({ id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), ts: Date.now(), coin, side, qty, price, src: source.id });
+  savePaper();
+  return null;
+}
+
+// On every price update: mark positions, fill limits the ticker reached, sample equity
+export function paperTick() {
+  if (paperTradable()) {
+    for (const [coin, p] of Object.entries(paper.positions)) if (onSource(p)) p.last = coinData[coin]?.ticker.price ?? p.last;
+    let changed = false;
+    for (const o of paper.orders.filter(onSource)) {
+      const px = coinData[o.coin]?.ticker.price;
+      if (!px || (o.side === "buy" ? px > o.price : px < o.price)) continue;
+      paper.orders = paper.orders.filter(x => x !== o);
+      const qty = o.side === "sell" ? Math.min(o.qty, paper.positions[o.coin]?.qty || 0) : o.qty;
+      if (qty > 0) paperFill(o.coin, o.side, qty, o.price, "limit");
+      changed = true;
+    }
+    if (!changed && Date.now() - paper.equity[paper.equity.length-1][0] >= PAPER_EQUITY_MS) { pushPaperEquity(); changed = true; }
+    if (changed) savePaper();
+  }
+  renderPaper();
+}
+
+// Auto-trader, once per refresh: go long when the verdict is bullish and both the
+// 1m and 1d forecasts sit above the price; close when the verdict turns bearish or
+// the 1d forecast drops below it. Only positions it opened itself are closed.
+export function runPaperAuto() {
+  if (!paper.auto || !paperTradable()) return;
+  for (const coin of COINS) {
+    const cd = coinData[coin.id], pred = cd?.prediction;
+    const f1m = pred?.horizons["1m"], f1d = pred?.horizons["1d"];
+    if (!f1m || !f1d) continue;
+    const price = cd.ticker.price, pos = paper.positions[coin.id];
+    let err = null, act = null;
+    if (!pos && pred.overall === "bullish" && f1m.price > price && f1d.price > price) {
+      const room = paperAvailable() / (1 + paper.slippage/100) / (1 + paper.fee/100);
+      const amount = Math.min(paperEquity() * paper.autoSize/100, room);
+      if (amount < PAPER_MIN_ORDER) continue;
+      err = placePaperOrder(coin.id, "buy", "market", amount / price, null, "auto");
+      act = "매수";
+    } else if (pos?.auto && onSource(pos) && paperFree(coin.id) > 0 && (pred.overall === "bearish" || f1d.price < price)) {
+      err = placePaperOrder(coin.id, "sell", "market", paperFree(coin.id), null, "auto");
+      act = "청산";
+    }
+    if (act && !err) showToast("📒 모의 투자", `${coin.id} 자동 ${act} · ${fmtMoney(price, "USD")}`);
+  }
+}
+
+function renderPaper() {
+  const usd = v => fmtMoney(v, "USD");
+  const srcTag = x => onSource(x) ? "" : ` <span class="band-tag">${SOURCES[x.src]?.label || x.src}</span>`;
+  const cash = v => `${v < 0 ? "-" : ""}$${Math.abs(v).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const eq = paperEquity(), total = eq - paper.start;
+  const closed = paper.trades.filter(t => t.pnl != null);
+  const realized = closed.reduce((s, t) => s + t.pnl, 0);
+  const wins = closed.filter(t => t.pnl > 0).length;
+  document.getElementById("paper-stats").innerHTML = [
+    { label: "현금", val: cash(paper.cash) },
+    { label: "평가 자산", val: cash(eq) },
+    { label: "총 손익", val: `${cash(total)} (${fmtPct(total / paper.start * 100)})`, cls: total > 0 ? "up" : total < 0 ? "down" : "" },
+    { label: "실현 손익", val: cash(realized), cls: realized > 0 ? "up" : realized < 0 ? "down" : "" },
+    { label: "청산 승률", val: closed.length ? `${fmtNum(wins / closed.length * 100, 0)}% (${wins}/${closed.length})` : "—" },
+  ].map(i => `<div class="stat"><span class="stat__label">${i.label}</span><span class="stat__val ${i.cls||""}">${i.val}</span></div>`).join("");
+
+  const sel = document.getElementById("paper-coin"), ids = COINS.map(c => c.id);
+  if (sel.dataset.ids !== ids.join()) {
+    const cur = sel.value;
+    sel.dataset.ids = ids.join();
+    sel.innerHTML = ids.map(c => `<option value="${c}">${c}</option>`).join("");
+    if (ids.includes(cur)) sel.value = cur;
+  }
+
+  const pos = Object.entries(paper.positions);
+  document.getElementById("paper-positions").innerHTML = `<thead><tr><th>코인</th><th>수량</th><th>평균가</th><th>현재가</th><th>평가 손익</th><th></th></tr></thead><tbody>` +
+    (pos.length ? pos.map(([coin, p]) => {
+      const pnl = (p.last - p.avg) * p.qty;
+      return `<tr data-coin="${coin}"><td>${coin}${p.auto ? ` <span class="band-tag">자동</span>` : ""}${srcTag(p)}</td><td>${p.qty.toPrecision(6)}</td><td>${usd(p.avg)}</td><td>${usd(p.last)}</td>` +
+        `<td class="${pnl >= 0 ? "result-hit" : "result-miss"}">${cash(pnl)} (${fmtPct((p.last / p.avg - 1) * 100)})</td><td><button class="history-clear-btn paper-close">청산</button></td></tr>`;
+    }).join("") : `<tr><td colspan="6" class="result-pending">보유 포지션 없음</td></tr>`) + "</tbody>";
+
+  document.getElementById("paper-orders").innerHTML = paper.orders.length ? paper.orders.map(o => `
+    <div class="alert-rule" data-id="${o.id}">
+      <span class="alert-rule__text">${o.coin} · 지정가 ${o.side === "buy" ? "매수" : "매도"} ${o.qty.toPrecision(6)} @ ${usd(o.price)}${srcTag(o)}</span>
+      <span class="alert-rule__cd">${fmtTime(o.ts)}</span>
+      <button class="alert-rule__del" title="취소">✕</button>
+    </div>`).join("") : `<div class="alert-empty">미체결 주문 없음</div>`;
+
+  document.getElementById("paper-trades").innerHTML = `<thead><tr><th>시각</th><th>코인</th><th>구분</th><th>수량</th><th>체결가</th><th>수수료</th><th>실현 손익</th></tr></thead><tbody>` +
+    (paper.trades.length ? paper.trades.slice(-50).reverse().map(t => `<tr>
+      <td>${fmtTime(t.ts)}</td><td>${t.coin}</td>
+      <td class="${t.side === "buy" ? "result-hit" : "result-miss"}">${t.side === "buy" ? "매수" : "매도"} <span class="band-tag">${PAPER_TAGS[t.tag]}</span></td>
+      <td>${t.qty.toPrecision(6)}</td><td>${usd(t.price)}</td><td>${usd(t.fee)}</td>
+      <td class="${t.pnl == null ? "result-pending" : t.pnl >= 0 ? "result-hit" : "result-miss"}">${t.pnl == null ? "—" : cash(t.pnl)}</td>
+    </tr>`).join("") : `<tr><td colspan="7" class="result-pending">체결 기록 없음</td></tr>`) + "</tbody>";
+
+  const needs = ["1m", "1d"].filter(h => !horizons.includes(h)).map(h => HORIZONS[h].label);
+  const held = [...Object.values(paper.positions), ...paper.orders].some(x => !onSource(x));
+  document.getElementById("paper-status").textContent = !paperTradable()
+    ? `${source.label}${source.quote === "USDT" ? "의 합성 시세로는" : `는 ${source.quote} 마켓이라`} 모의 투자가 멈춰 있습니다 — Binance · Bybit로 바꾸면 이어집니다`
+    : held ? `다른 소스에서 연 포지션 · 주문은 그 소스로 돌아갈 때까지 마지막 시세로 평가되고 체결되지 않습니다`
+    : paper.auto && needs.length ? `자동매매에는 ${needs.join("·")} 예측 주기가 필요합니다 (모델 설정에서 켜기)`
+    : `시작 자금 ${cash(paper.start)} · 수수료 ${paper.fee}% · 시장가 슬리피지 ${paper.slippage}%${paper.auto ? ` · 자동매매 켜짐 (1회 자산의 ${paper.autoSize}%)` : ""}`;
+
+  drawEquityChart(document.getElementById("paper-equity"),
+    [{ label: "자산", equity: paper.equity.map(([, v]) => v / paper.start), ret: total / paper.start * 100 }]);
+}
+
+function syncPaperForm() {
+  document.getElementById("paper-limit").style.display = document.getElementById("paper-type").value === "limit" ? "" : "none";
+}
+
+function submitPaperOrder() {
+  const coin = document.getElementById("paper-coin").value;
+  const side = document.getElementById("paper-side").value;
+  const type = document.getElementById("paper-type").value;
+  const amount = parseFloat(document.getElementById("paper-amount").value);
+  const limit = parseFloat(document.getElementById("paper-limit").value);
+  const ref = type === "limit" ? limit : coinData[coin]?.ticker.price;
+  if (!(amount > 0)) { document.getElementById("paper-amount").focus(); return; }
+  // Amounts are in USDT; a sell within 0.5% of the whole free position closes all of it
+  let qty = amount / ref;
+  if (side === "sell" && qty > paperFree(coin) && qty <= paperFree(coin) * 1.005) qty = paperFree(coin);
+  const err = placePaperOrder(coin, side, type, qty, limit);
+  if (err) { showToast("📒 모의 투자", err); return; }
+  document.getElementById("paper-amount").value = "";
+  paperTick();
+}
+
+export function bindPaperEvents() {
+  const cfg = { "paper-fee": "fee", "paper-slippage": "slippage", "paper-auto-size": "autoSize" };
+  for (const [id, key] of Object.entries(cfg)) {
+    const el = document.getElementById(id);
+    el.value = paper[key];
+    el.addEventListener("change", () => {
+      const v = parseFloat(el.value);
+      if (Number.isFinite(v) && v >= +el.min && v <= +el.max) { paper[key] = v; savePaper(); }
+      el.value = paper[key];
+      renderPaper();
+    });
+  }
+  const auto = document.getElementById("paper-auto");
+  auto.checked = paper.auto;
+  auto.addEventListener("change", () => { paper.auto = auto.checked; savePaper(); renderPaper(); });
+  document.getElementById("paper-type").addEventListener("change", syncPaperForm);
+  document.getElementById("paper-submit").addEventListener("click", submitPaperOrder);
+  document.getElementById("paper-reset").addEventListener("click", () => {
+    const start = parseFloat(prompt("초기화할 시작 자금 (USDT)", paper.start));
+    if (!(start >= PAPER_MIN_ORDER)) return;
+    paper = newPaper(start, paper);
+    savePaper();
+    renderPaper();
+  });
+  document.getElementById("paper-positions").addEventListener("click", e => {
+    if (!e.target.closest(".paper-close")) return;
+    const coin = e.target.closest("tr").dataset.coin;
+    const err = placePaperOrder(coin, "sell", "market", paperFree(coin), null);
+    if (err) showToast("📒 모의 투자", err);
+    paperTick();
+  });
+  document.getElementById("paper-orders").addEventListener("click", e => {
+    if (!e.target.closest(".alert-rule__del")) return;
+    const id = e.target.closest(".alert-rule").dataset.id;
+    paper.orders = paper.orders.filter(o => o.id !== id);
+    savePaper();
+    renderPaper();
+  });
+  syncPaperForm();
+  renderPaper();
+}
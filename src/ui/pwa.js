@@ -0,0 +1,31 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/pwa.js
+
+   Installability: the service worker registration and the
+   header install button.
+   ============================================================ */
+
+// ── Install (PWA) ──────────────────────────────────────
+// The browser's install prompt, offered from a header button once it fires
+export function bindInstall() {
+  const btn = document.getElementById("install-btn");
+  let prompt = null;
+  window.addEventListener("beforeinstallprompt", e => {
+    e.preventDefault();
+    prompt = e;
+    btn.hidden = false;
+  });
+  btn.addEventListener("click", async () => {
+    if (!prompt) return;
+    prompt.prompt();
+    await prompt.userChoice.catch(() => {});
+    prompt = null;
+    btn.hidden = true;
+  });
+  window.addEventListener("appinstalled", () => { btn.hidden = true; });
+}
+
+// App shell for offline use and install; browsers without it (or file://) go without
+export function registerWorker() {
+  navigator.serviceWorker?.register("sw.js").catch(() => {});
+}
@@ -0,0 +1,342 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/screener.js
+
+   The alt tab's screener: ticker and indicator filters over every
+   pair the source lists, saved screens, sort modes and paging.
+   ============================================================ */
+
+import { COINS } from "../state.js";
+import { cache, cached, queuedKlines, source, storedAllTickers } from "../data.js";
+import { calcATR, calcBollinger, calcMACD, calcRSI, ema } from "../indicators.js";
+import { quantile } from "../history.js";
+import { closeAltDetail, renderAltGrid } from "./alts.js";
+import { ALT_SIGNAL_MAX, altQueue, scanAltSignals, setSignalRank, sortBySignal } from "./signals.js";
+
+// ── Alt Tickers ────────────────────────────────────────
+const EXCLUDE_BASES = new Set([
+  // Stablecoins
+  "USDC","BUSD","TUSD","DAI","FDUSD","USDP","EUR","USDT",
+  // Leveraged tokens
+  "BTCDOWN","BTCUP","ETHDOWN","ETHUP",
+]);
+
+// Also exclude main coins (already in main tab) and anything with "UP","DOWN","BEAR","BULL" in name
+function isExcluded(sym) {
+  const base = source.base(sym);
+  if (EXCLUDE_BASES.has(base) || COINS.some(c => c.id === base)) return true;
+  return /UP$|DOWN$|BEAR$|BULL$|^USD/.test(base);
+}
+
+export let altSortMode = "gainers"; // gainers | losers | volume | signals
+export let altCoins = [];            // current page of screened alt tickers
+export async function fetchAllTickers() {
+  return cached("all-tickers", 25_000, () => storedAllTickers(source));
+}
+
+// ── Screener ───────────────────────────────────────────
+// Ticker filters (24h change, quote volume) run over every pair the source
+// lists; indicator filters need 1h klines, fetched for the ticker matches
+// through altQueue and cached for a few minutes per symbol.
+const SCREENS_KEY = "cpp_screens";
+const SCREEN_ACTIVE_KEY = "cpp_screen_active";
+const SCREEN_COUNTS = [12, 24, 48, 96];
+const SCREEN_BARS = 120;          // 1h candles per candidate: EMA(50) plus warm-up
+const SCREEN_SCAN_MAX = 300;      // candidates (in sort order) checked against indicator filters
+const SCREEN_IND_TTL = 5 * 60_000;
+const SCREEN_SQUEEZE_Q = 0.2;     // BB width in its lowest 20% of the window = squeeze
+
+// [min, max] filters, either end null for open. ind: computed from klines
+const SCREEN_RANGES = [
+  { key: "change", label: "24h 변동 %",      step: 1 },
+  { key: "volume", label: "24h 거래대금 $M", step: 1 },
+  { key: "rsi",    label: "RSI(14)",         step: 1,   ind: true },
+  { key: "ema50",  label: "EMA50 대비 %",    step: 0.5, ind: true },
+  { key: "atr",    label: "ATR(14) %",       step: 0.1, ind: true },
+];
+const MACD_STATES = {
+  any:       { label: "MACD 전체",            test: () => true },
+  bull:      { label: "히스토그램 > 0",        test: x => x.hist > 0 },
+  bear:      { label: "히스토그램 < 0",        test: x => x.hist < 0 },
+  crossUp:   { label: "골든크로스 (최근 3봉)", test: x => x.cross === "up" },
+  crossDown: { label: "데드크로스 (최근 3봉)", test: x => x.cross === "down" },
+};
+const ALT_SORT_MODES = ["gainers", "losers", "volume", "signals"];
+
+const DEFAULT_SCREEN = {
+  change: [null, null], volume: [1, null], rsi: [null, null], ema50: [null, null], atr: [null, null],
+  macd: "any", squeeze: false, count: 12, sort: null,
+};
+const BUILTIN_SCREENS = {
+  "기본": DEFAULT_SCREEN,
+  "과매도 반등": { ...DEFAULT_SCREEN, rsi: [null, 30], sort: "losers" },
+  "볼린저 스퀴즈": { ...DEFAULT_SCREEN, volume: [5, null], squeeze: true, sort: "volume" },
+  "추세 전환": { ...DEFAULT_SCREEN, volume: [5, null], ema50: [0, 5], macd: "crossUp", sort: "gainers" },
+};
+
+function normalizeScreen(s) {
+  const num = v => v === null || v === "" || !Number.isFinite(+v) ? null : +v;
+  const out = { ...DEFAULT_SCREEN };
+  for (const f of SCREEN_RANGES) out[f.key] = Array.isArray(s?.[f.key]) ? [num(s[f.key][0]), num(s[f.key][1])] : DEFAULT_SCREEN[f.key];
+  out.macd = MACD_STATES[s?.macd] ? s.macd : "any";
+  out.squeeze = s?.squeeze === true;
+  out.count = SCREEN_COUNTS.includes(+s?.count) ? +s.count : DEFAULT_SCREEN.count;
+  out.sort = ALT_SORT_MODES.includes(s?.sort) ? s.sort : null;
+  return out;
+}
+
+function loadScreens() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SCREENS_KEY)) || {};
+    return Object.fromEntries(Object.entries(raw).filter(([n]) => !BUILTIN_SCREENS[n]).map(([n, s]) => [n, normalizeScreen(s)]));
+  } catch { return {}; }
+}
+function saveScreens() {
+  try { localStorage.setItem(SCREENS_KEY, JSON.stringify(customScreens)); } catch {}
+}
+function allScreens() { return { ...BUILTIN_SCREENS, ...customScreens }; }
+
+let customScreens = loadScreens();
+let activeScreen = (() => { try { const n = localStorage.getItem(SCREEN_ACTIVE_KEY); return allScreens()[n] ? n : "기본"; } catch { return "기본"; } })();
+export let altScreen = allScreens()[activeScreen];
+let altMatches = [];         // every ticker passing the screen, sorted; altCoins is the current page
+export let altPage = 0;
+export let altScanSeq = 0;   // bumps on every run so a superseded scan stops fetching
+let altScanEnd = 0;          // altScanSeq of the last run that finished, background predictions included
+const screenInd = new Map(); // "src|symbol" → { ts, x }
+
+const inRange = (v, [lo, hi]) => (lo == null || v >= lo) && (hi == null || v <= hi);
+const screenUsesKlines = s => s.macd !== "any" || s.squeeze ||
+  SCREEN_RANGES.some(f => f.ind && (s[f.key][0] != null || s[f.key][1] != null));
+export const screenKey = sym => `${source.id}|${sym}`;
+
+// Snapshot of the indicator filters on one candidate's 1h candles
+function screenIndicators(kl) {
+  const closes = kl.map(k=>k.c), highs = kl.map(k=>k.h), lows = kl.map(k=>k.l);
+  const price = closes[closes.length-1];
+  const hist = calcMACD(closes).histSeries.slice(-4);
+  let cross = null;
+  for (let i = 1; i < hist.length; i++) {
+    if (hist[i-1] <= 0 && hist[i] > 0) cross = "up";
+    else if (hist[i-1] >= 0 && hist[i] < 0) cross = "down";
+  }
+  const bb = calcBollinger(closes, 20, 2);
+  const widths = bb.mid.map((m, i) => m == null ? null : (bb.upper[i] - bb.lower[i]) / m).filter(v => v != null);
+  const e50 = ema(closes, 50);
+  return {
+    rsi: calcRSI(closes, 14).value,
+    ema50: (price / e50[e50.length-1] - 1) * 100,
+    atr: calcATR(highs, lows, closes, 14).value / price * 100,
+    hist: hist[hist.length-1], cross,
+    squeeze: widths.length > 20 && widths[widths.length-1] <= quantile([...widths].sort((a, b) => a - b), SCREEN_SQUEEZE_Q),
+  };
+}
+
+function passesIndicators(x, s) {
+  return !!x && SCREEN_RANGES.every(f => !f.ind || inRange(x[f.key], s[f.key])) &&
+    MACD_STATES[s.macd].test(x) && (!s.squeeze || x.squeeze);
+}
+
+// "signals" starts from volume order; showAltPage ranks it by prediction
+function sortAlts(alts) {
+  if (altSortMode === "gainers") alts.sort((a,b) => b.changePct - a.changePct);
+  else if (altSortMode === "losers") alts.sort((a,b) => a.changePct - b.changePct);
+  else alts.sort((a,b) => b.quoteVolume - a.quoteVolume);
+  return alts;
+}
+
+// Adapters only return quote-currency pairs; exclude stables/leverage/main
+function filterAndSortAlts(tickers, s = altScreen) {
+  return sortAlts(tickers.filter(t => !isExcluded(t.symbol) &&
+    inRange(t.changePct, s.change) && inRange(t.quoteVolume / source.usdScale / 1e6, s.volume)));
+}
+
+// Indicator snapshots for the candidates not cached yet
+async function loadScreenIndicators(tickers, seq) {
+  const todo = tickers.filter(t => !(Date.now() - (screenInd.get(screenKey(t.symbol))?.ts || 0) < SCREEN_IND_TTL));
+  let done = 0;
+  setScreenStatus(`지표 계산 중 0/${todo.length}...`);
+  await Promise.all(todo.map(async t => {
+    try {
+      const kl = await queuedKlines(altQueue, t.symbol, "1h", SCREEN_BARS);
+      if (kl.length >= 60) screenInd.set(screenKey(t.symbol), { ts: Date.now(), x: screenIndicators(kl) });
+    } catch { /* skip: unlisted, rate-limited or superseded; retried next run */ }
+    if (seq === altScanSeq) setScreenStatus(`지표 계산 중 ${++done}/${todo.length}...`);
+  }));
+}
+
+// ── Screen Runs ────────────────────────────────────────
+export function setScreenStatus(text) { document.getElementById("screen-status").textContent = text; }
+
+// Whole pipeline: tickers → ticker filters → (klines) → indicator filters → current page
+async function runScreen() {
+  const seq = ++altScanSeq, s = altScreen;
+  const finish = () => { if (seq === altScanSeq) altScanEnd = seq; };
+  altQueue.clear();
+  let background = false;
+  try {
+    const tickers = await fetchAllTickers();
+    let matches = filterAndSortAlts(tickers, s);
+    const pool = matches.length;
+    let note = "";
+    if (screenUsesKlines(s)) {
+      const cands = matches.slice(0, SCREEN_SCAN_MAX);
+      await loadScreenIndicators(cands, seq);
+      if (seq !== altScanSeq) return;
+      matches = cands.filter(t => passesIndicators(screenInd.get(screenKey(t.symbol))?.x, s));
+      note = ` · 지표 검사 ${cands.length}개${pool > SCREEN_SCAN_MAX ? ` (정렬 상위 ${SCREEN_SCAN_MAX}개까지)` : ""}`;
+    }
+    if (altSortMode === "signals") {
+      if (matches.length > ALT_SIGNAL_MAX) note += ` · 거래대금 상위 ${ALT_SIGNAL_MAX}개만 예측`;
+      matches = matches.slice(0, ALT_SIGNAL_MAX);
+    }
+    const status = `전체 ${tickers.length}개 중 조건 일치 ${matches.length}개${note}`;
+    altMatches = matches;
+    setScreenStatus(status);
+    showAltPage();
+    if (altSortMode === "signals") { // in the background
+      background = true;
+      scanAltSignals(matches, seq, status).finally(finish);
+    }
+  } finally {
+    if (!background) finish();
+  }
+}
+
+// Still fetching or predicting; the periodic refresh waits for it rather than restarting it
+export function altScanning() { return altScanEnd !== altScanSeq; }
+
+export function showAltPage() {
+  const count = altScreen.count;
+  if (altSortMode === "signals") sortBySignal(altMatches);
+  const pages = Math.max(1, Math.ceil(altMatches.length / count));
+  altPage = Math.min(altPage, pages - 1);
+  altCoins = altMatches.slice(altPage * count, (altPage + 1) * count);
+  document.getElementById("alt-page").textContent = `${altPage + 1} / ${pages}`;
+  document.getElementById("alt-prev").disabled = altPage === 0;
+  document.getElementById("alt-next").disabled = altPage >= pages - 1;
+  renderAltGrid();
+}
+
+function renderScreenForm() {
+  const sel = document.getElementById("screen-preset");
+  sel.innerHTML = Object.keys(allScreens()).map(n =>
+    `<option value="${n}">${n}${BUILTIN_SCREENS[n] ? " (기본 제공)" : ""}</option>`).join("");
+  sel.value = activeScreen;
+  document.getElementById("screen-name").value = BUILTIN_SCREENS[activeScreen] ? "" : activeScreen;
+  document.getElementById("screen-delete").disabled = !!BUILTIN_SCREENS[activeScreen];
+  document.getElementById("screen-count").value = altScreen.count;
+
+  const val = v => v == null ? "" : v;
+  document.getElementById("screen-fields").innerHTML = SCREEN_RANGES.map(f => `
+    <label class="model-field screen-range"><span>${f.label}</span>
+      <input type="number" class="alert-input alert-input--sm" data-key="${f.key}" data-end="0" step="${f.step}" placeholder="최소" value="${val(altScreen[f.key][0])}" />
+      ~ <input type="number" class="alert-input alert-input--sm" data-key="${f.key}" data-end="1" step="${f.step}" placeholder="최대" value="${val(altScreen[f.key][1])}" />
+    </label>`).join("") + `
+    <label class="model-field"><select class="history-select" data-key="macd">${Object.entries(MACD_STATES).map(([k, m]) =>
+      `<option value="${k}" ${altScreen.macd === k ? "selected" : ""}>${m.label}</option>`).join("")}</select></label>
+    <label class="model-field model-field--check"><input type="checkbox" data-key="squeeze" ${altScreen.squeeze ? "checked" : ""} />
+      <span>BB 스퀴즈 (폭이 최근 하위 ${SCREEN_SQUEEZE_Q * 100}%)</span></label>`;
+}
+
+function readScreenForm() {
+  const s = structuredClone(altScreen);
+  for (const el of document.querySelectorAll("#screen-fields [data-key]")) {
+    const { key, end } = el.dataset;
+    if (end) s[key][+end] = el.value;
+    else s[key] = el.type === "checkbox" ? el.checked : el.value;
+  }
+  s.count = document.getElementById("screen-count").value;
+  return normalizeScreen(s);
+}
+
+function setAltSort(mode) {
+  altSortMode = mode;
+  document.querySelectorAll(".alt-sort-btn").forEach(b => b.classList.toggle("alt-sort-btn--active", b.dataset.sort === altSortMode));
+  document.getElementById("alt-signal-rank").style.display = mode === "signals" ? "" : "none";
+}
+
+function selectScreen(name) {
+  if (!allScreens()[name]) return;
+  activeScreen = name;
+  altScreen = allScreens()[name];
+  try { localStorage.setItem(SCREEN_ACTIVE_KEY, name); } catch {}
+  if (altScreen.sort) setAltSort(altScreen.sort);
+  altPage = 0;
+  renderScreenForm();
+  refreshAltTab();
+}
+
+function saveScreen() {
+  const name = document.getElementById("screen-name").value.replace(/[<>"&]/g, "").trim();
+  if (!name) { setScreenStatus("스크린 이름을 입력하세요"); return; }
+  if (BUILTIN_SCREENS[name]) { setScreenStatus("기본 제공 스크린은 덮어쓸 수 없습니다"); return; }
+  customScreens[name] = { ...readScreenForm(), sort: altSortMode };
+  saveScreens();
+  selectScreen(name);
+}
+
+function deleteScreen() {
+  if (BUILTIN_SCREENS[activeScreen]) return;
+  delete customScreens[activeScreen];
+  saveScreens();
+  selectScreen("기본");
+}
+
+export async function refreshAltTab() {
+  try {
+    await runScreen();
+  } catch(e) {
+    console.error("Alt refresh error:", e);
+    document.getElementById("alt-grid").innerHTML = '<div class="alt-loading" style="color:var(--red)">데이터 로드 실패 — 재시도 중...</div>';
+  }
+}
+
+// Drops the screened page and the open panel, e.g. after a source switch
+export function clearAltTab() {
+  altCoins = [];
+  closeAltDetail();
+}
+
+export function bindAltEvents() {
+  // Sort buttons
+  document.getElementById("alt-sort-group").addEventListener("click", e => {
+    const btn = e.target.closest(".alt-sort-btn");
+    if (!btn) return;
+    setAltSort(btn.dataset.sort);
+    altPage = 0;
+    refreshAltTab(); // tickers and indicator snapshots are cached, so this only re-sorts
+  });
+
+  // Screener: edits apply at once; saving stores them with the current sort
+  document.getElementById("screen-preset").addEventListener("change", e => selectScreen(e.target.value));
+  document.getElementById("screen-save").addEventListener("click", saveScreen);
+  document.getElementById("screen-delete").addEventListener("click", deleteScreen);
+  const onScreenEdit = () => {
+    altScreen = readScreenForm();
+    altPage = 0;
+    refreshAltTab();
+  };
+  document.getElementById("screen-fields").addEventListener("change", onScreenEdit);
+  document.getElementById("screen-count").addEventListener("change", onScreenEdit);
+  document.getElementById("alt-prev").addEventListener("click", () => { altPage--; showAltPage(); });
+  document.getElementById("alt-next").addEventListener("click", () => { altPage++; showAltPage(); });
+  document.getElementById("alt-signal-rank").addEventListener("change", e => {
+    setSignalRank(e.target.value);
+    altPage = 0;
+    showAltPage();
+  });
+  setAltSort(altScreen.sort || altSortMode);
+  renderScreenForm();
+
+  // Refresh button
+  document.getElementById("alt-refresh-btn").addEventListener("click", e => {
+    const btn = e.currentTarget;
+    btn.classList.add("spinning");
+    // Clear cache to force fresh
+    cache.delete("all-tickers");
+    refreshAltTab().finally(() => setTimeout(() => btn.classList.remove("spinning"), 500));
+  });
+
+  // Alt detail close
+  document.getElementById("ad-close").addEventListener("click", closeAltDetail);
+}
@@ -0,0 +1,69 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/signals.js
+
+   The "signals" sort of the alt tab: background predictions for
+   the screened candidates and the verdict line on each card.
+   ============================================================ */
+
+import { HORIZON_LIMIT } from "../config.js";
+import { VERDICT_KO, fmtPct } from "../format.js";
+import { model } from "../state.js";
+import { createQueue, queuedKlines } from "../data.js";
+import { CONFLUENCE_TFS, computePrediction } from "../prediction.js";
+import { altScanSeq, altSortMode, screenKey, setScreenStatus, showAltPage } from "./screener.js";
+
+// ── Signal Sort ────────────────────────────────────────
+// The "signals" sort runs the full prediction for the most liquid candidates in
+// the background and ranks them as results come in; cards show the verdict in
+// every sort mode once a symbol has one.
+export const ALT_SIGNAL_MAX = 100;   // candidates by quote volume
+const ALT_SIGNAL_TTL = 5 * 60_000;
+const ALT_SIGNAL_RENDER_EVERY = 10;  // re-rank after this many new results
+const ALT_SIGNAL_TFS = [...new Set(["1h", "1d", ...Object.keys(CONFLUENCE_TFS)])];
+const ALT_SIGNAL_RANKS = {
+  move: s => s.move1d,
+  bull: s => s.bull + s.move1d / 1e3, // ties go to the larger forecast
+};
+export const altQueue = createQueue(4, 1200);
+const altSignals = new Map(); // "src|symbol" → { ts, overall, move1d, bull, bear }
+let altSignalRank = "move";
+
+export function setSignalRank(rank) { altSignalRank = rank; }
+
+async function predictAlt(t) {
+  const kls = await Promise.all(ALT_SIGNAL_TFS.map(tf => queuedKlines(altQueue, t.symbol, tf, tf === "1h" ? 168 : HORIZON_LIMIT)));
+  const sets = Object.fromEntries(ALT_SIGNAL_TFS.map((tf, i) => [tf, kls[i]]));
+  if (sets["1h"].length < 60 || !sets["1d"].length) return;
+  const pred = computePrediction(t.price, sets, model, ["1d"], Date.now());
+  const dirs = Object.values(pred.signals).map(s => s.direction);
+  altSignals.set(screenKey(t.symbol), {
+    ts: Date.now(), overall: pred.overall, move1d: (pred.horizons["1d"].price / t.price - 1) * 100,
+    bull: dirs.filter(d => d === "bullish").length, bear: dirs.filter(d => d === "bearish").length,
+  });
+}
+
+export async function scanAltSignals(cands, seq, status) {
+  const todo = cands.filter(t => !(Date.now() - (altSignals.get(screenKey(t.symbol))?.ts || 0) < ALT_SIGNAL_TTL));
+  if (!todo.length) return;
+  let done = 0;
+  await Promise.all(todo.map(t => predictAlt(t).catch(() => {}).then(() => {
+    if (seq !== altScanSeq) return;
+    done++;
+    setScreenStatus(`${status} · 예측 ${done}/${todo.length}${done < todo.length ? "..." : ""}`);
+    if (done % ALT_SIGNAL_RENDER_EVERY === 0 || done === todo.length) showAltPage();
+  })));
+}
+
+// Symbols without a result yet keep their volume order behind the ranked ones
+export function sortBySignal(alts) {
+  const key = ALT_SIGNAL_RANKS[altSignalRank];
+  const v = t => { const s = altSignals.get(screenKey(t.symbol)); return s ? key(s) : -Infinity; };
+  return alts.sort((a, b) => v(b) - v(a));
+}
+
+export function altSignalLine(t) {
+  const sig = altSignals.get(screenKey(t.symbol));
+  if (!sig) return altSortMode === "signals" ? `<div class="acard__signal pending">예측 대기 중...</div>` : "";
+  return `<div class="acard__signal ${sig.overall}"><span class="acard__verdict">${VERDICT_KO[sig.overall]}</span>` +
+    `<span>1일 ${fmtPct(sig.move1d)}</span><span>▲${sig.bull} ▼${sig.bear}</span></div>`;
+}
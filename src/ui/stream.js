@@ -0,0 +1,145 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/stream.js
+
+   Live WebSocket updates for the watched coins, the open detail
+   chart and the open alt panel, merged into the loaded candles
+   and rendered at most once a second.
+   ============================================================ */
+
+import { TIMEFRAMES } from "../config.js";
+import { COINS, activeCoin, activeTF, coinData } from "../state.js";
+import { source, symOf } from "../data.js";
+import { drawDetailChart, drawSparkline } from "../charts.js";
+import { activeAltSymbol, altDetail, renderAltDetail } from "./alts.js";
+import { predictForCoin, predictionIntervals, renderStatus, updateSummaryCard } from "./dashboard.js";
+import { paperTick } from "./paper.js";
+
+// ── Live Stream (WebSocket) ────────────────────────────
+// Pushes ticker / kline updates between REST polls for sources that expose
+// a stream (Binance combined streams). While the socket is down, or the
+// source has none, refresh() polling carries on exactly as before.
+const WS_STALE_MS    = 30_000;
+const WS_BACKOFF_MAX = 60_000;
+const LIVE_RENDER_MS = 1_000;
+
+let ws = null, wsLive = false, wsRetry = 0, wsReqId = 0, wsLastMsg = 0, wsTimer = null;
+let wsStreams = new Set();
+let liveTimer = null;
+const liveCandles = {};        // symbol → interval → latest streamed kline
+const liveDirty   = new Set(); // symbols with updates not yet rendered
+
+function wantedStreams() {
+  const s = new Set();
+  const add = (sym, ...kinds) => kinds.forEach(k => s.add(source.stream.name(sym, k)));
+  const klines = predictionIntervals().map(tf => `kline_${tf}`);
+  for (const coin of COINS) add(symOf(coin), "ticker", ...klines);
+  if (activeCoin) add(source.market(activeCoin), `kline_${TIMEFRAMES[activeTF].interval}`);
+  if (activeAltSymbol) add(activeAltSymbol, "ticker", ...klines);
+  return s;
+}
+
+export function connectStream() {
+  wsTimer = null;
+  if (!source.stream || typeof WebSocket === "undefined") return;
+  wsStreams = wantedStreams();
+  const sock = new WebSocket(`${source.stream.url}?streams=${[...wsStreams].join("/")}`);
+  ws = sock;
+  sock.onopen = () => {
+    wsLive = true; wsRetry = 0; wsLastMsg = Date.now();
+    syncStreams();
+    renderStatus();
+  };
+  sock.onmessage = e => {
+    wsLastMsg = Date.now();
+    try { onStreamMessage(JSON.parse(e.data)); } catch(err) { console.error("Stream message error:", err); }
+  };
+  sock.onclose = () => {
+    if (ws !== sock) return;
+    ws = null; wsLive = false;
+    // Exponential backoff with jitter, capped at WS_BACKOFF_MAX
+    const delay = Math.min(1000 * 2 ** wsRetry++, WS_BACKOFF_MAX) * (0.8 + Math.random()*0.4);
+    wsTimer = setTimeout(connectStream, delay);
+    renderStatus();
+  };
+}
+
+export function streamLive() { return wsLive; }
+export function lastStreamMessage() { return wsLastMsg; }
+
+// A socket that went quiet is as good as closed; let onclose reconnect it
+export function dropStaleStream() {
+  if (wsLive && Date.now() - wsLastMsg > WS_STALE_MS) ws?.close();
+}
+
+// Drops the current socket without triggering its reconnect, then starts over
+export function restartStream() {
+  clearTimeout(wsTimer);
+  const old = ws;
+  ws = null; wsLive = false; wsRetry = 0;
+  old?.close();
+  for (const k of Object.keys(liveCandles)) delete liveCandles[k];
+  connectStream();
+}
+
+// Diffs the wanted stream set against the live subscription
+export function syncStreams() {
+  if (!source.stream || !wsLive || ws?.readyState !== WebSocket.OPEN) return;
+  const want = wantedStreams();
+  const add = [...want].filter(s => !wsStreams.has(s));
+  const drop = [...wsStreams].filter(s => !want.has(s));
+  if (add.length) ws.send(JSON.stringify({ method: "SUBSCRIBE", params: add, id: ++wsReqId }));
+  if (drop.length) ws.send(JSON.stringify({ method: "UNSUBSCRIBE", params: drop, id: ++wsReqId }));
+  wsStreams = want;
+}
+
+function onStreamMessage(msg) {
+  if (!msg.data) return; // SUBSCRIBE / UNSUBSCRIBE acks
+  const u = source.stream.parse(msg.data);
+  if (!u) return;
+
+  const coin = COINS.find(c => symOf(c) === u.symbol);
+  const cd = coin && coinData[coin.id];
+  if (u.ticker) {
+    if (cd) cd.ticker = u.ticker;
+    if (altDetail?.symbol === u.symbol) altDetail.ticker = u.ticker;
+  } else {
+    (liveCandles[u.symbol] ||= {})[u.interval] = u.candle;
+    if (cd?.klines?.[u.interval]) cd.klines[u.interval] = mergeKline(cd.klines[u.interval], u.candle);
+    if (altDetail?.symbol === u.symbol && altDetail.sets[u.interval])
+      altDetail.sets[u.interval] = mergeKline(altDetail.sets[u.interval], u.candle);
+  }
+
+  liveDirty.add(u.symbol);
+  if (!liveTimer) liveTimer = setTimeout(flushLive, LIVE_RENDER_MS);
+}
+
+// Replaces the open candle, or rolls the window forward when a new one starts
+function mergeKline(klines, k) {
+  if (!klines?.length) return klines;
+  const last = klines[klines.length-1];
+  if (k.t === last.t) return [...klines.slice(0,-1), k];
+  if (k.t > last.t) return [...klines.slice(1), k];
+  return klines;
+}
+
+// REST responses can be up to CACHE_TTL old; never let them roll back streamed candles
+export function withLive(sym, interval, klines) {
+  const k = liveCandles[sym]?.[interval];
+  return k ? mergeKline(klines, k) : klines;
+}
+
+function flushLive() {
+  liveTimer = null;
+  for (const coin of COINS) {
+    const cd = coinData[coin.id];
+    if (!liveDirty.has(symOf(coin)) || !cd?.prediction || !cd.klines?.["1h"]) continue;
+    cd.prediction = predictForCoin(coin.id, cd.ticker.price, cd.klines);
+    updateSummaryCard(coin, cd.ticker, cd.prediction);
+    drawSparkline(coin.id, cd.klines["1h"].map(k=>k.c));
+    if (activeCoin === coin.id) drawDetailChart();
+  }
+  if (altDetail?.ticker && liveDirty.has(altDetail.symbol)) renderAltDetail();
+  liveDirty.clear();
+  paperTick();
+  renderStatus();
+}
@@ -0,0 +1,125 @@
+/* ============================================================
+   CryptoPricePredictor — src/ui/watchlist.js
+
+   The watched coins: chips to reorder or remove them and the
+   symbol search that adds new ones.
+   ============================================================ */
+
+import { WATCHLIST_KEY, WATCHLIST_MAX } from "../config.js";
+import { fmtPct, fmtPrice } from "../format.js";
+import { COINS, activeCoin, coinData, coinFor } from "../state.js";
+import { source } from "../data.js";
+import { historyCoins } from "../history.js";
+import { calibratedCoins } from "./calibration.js";
+import { closeDetail, refresh, renderConfidence, renderSummaryCards } from "./dashboard.js";
+import { fetchAllTickers } from "./screener.js";
+import { syncStreams } from "./stream.js";
+
+// ── Watchlist ──────────────────────────────────────────
+function setWatchlist(ids) {
+  COINS.splice(0, COINS.length, ...ids.map(coinFor));
+  try { localStorage.setItem(WATCHLIST_KEY, JSON.stringify(ids)); } catch {}
+  for (const id of Object.keys(coinData)) if (!ids.includes(id)) delete coinData[id];
+  if (activeCoin && !ids.includes(activeCoin)) closeDetail();
+
+  renderWatchlist();
+  renderConfidence();
+  syncStreams();
+  refresh();
+}
+
+export function renderWatchlist() {
+  document.getElementById("watchlist-chips").innerHTML = COINS.map((c, i) => `
+    <span class="wl-chip" data-id="${c.id}">
+      <button class="wl-chip__btn" data-act="left" title="왼쪽으로" ${i === 0 ? "disabled" : ""}>◀</button>
+      <span class="wl-chip__name">${c.icon} ${c.id}</span>
+      <button class="wl-chip__btn" data-act="right" title="오른쪽으로" ${i === COINS.length-1 ? "disabled" : ""}>▶</button>
+      <button class="wl-chip__btn wl-chip__btn--remove" data-act="remove" title="삭제" ${COINS.length === 1 ? "disabled" : ""}>✕</button>
+    </span>`).join("");
+  document.getElementById("header-sub").textContent = `${COINS.map(c => c.id).join(" · ")} — 실시간 시세 & 기술적 예측`;
+  renderSummaryCards();
+  renderCoinSelects();
+}
+
+// Coin filters: history keeps coins that were removed from the watchlist
+export function renderCoinSelects() {
+  const watched = COINS.map(c => c.id);
+  const lists = {
+    "history-coin": [...new Set([...watched, ...historyCoins])],
+    "bt-coin": watched,
+    "alert-coin": watched,
+    "calib-coin": [...new Set([...watched, ...calibratedCoins()])],
+  };
+  for (const [id, ids] of Object.entries(lists)) {
+    const sel = document.getElementById(id), cur = sel.value;
+    if (sel.dataset.ids === ids.join()) continue;
+    sel.dataset.ids = ids.join();
+    sel.innerHTML = `<option value="ALL">전체</option>` + ids.map(c => `<option value="${c}">${c}</option>`).join("");
+    sel.value = ids.includes(cur) ? cur : "ALL";
+  }
+}
+
+function moveWatched(id, act) {
+  const ids = COINS.map(c => c.id), i = ids.indexOf(id);
+  if (act === "remove") { if (ids.length > 1) ids.splice(i, 1); }
+  else {
+    const j = act === "left" ? i - 1 : i + 1;
+    if (j < 0 || j >= ids.length) return;
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  setWatchlist(ids);
+}
+
+async function searchSymbols(query) {
+  const box = document.getElementById("wl-results");
+  const q = query.trim().toUpperCase();
+  if (!q) { box.style.display = "none"; return; }
+  try {
+    const tickers = await fetchAllTickers();
+    const watched = new Set(COINS.map(c => c.id));
+    const hits = tickers
+      .map(t => ({ t, base: source.base(t.symbol) }))
+      .filter(x => x.base.includes(q) && !watched.has(x.base))
+      .sort((a,b) => (b.base.startsWith(q) - a.base.startsWith(q)) || b.t.quoteVolume - a.t.quoteVolume)
+      .slice(0, 8);
+    if (document.getElementById("wl-search").value.trim().toUpperCase() !== q) return; // stale
+    box.innerHTML = hits.length ? hits.map(x => `
+      <button class="wl-result" data-id="${x.base}">
+        <span class="wl-result__sym">${x.base}<small>/${source.quote}</small></span>
+        <span class="wl-result__price">${fmtPrice(x.t.price)}</span>
+        <span class="wl-result__pct ${x.t.changePct>=0?"up":"down"}">${fmtPct(x.t.changePct)}</span>
+      </button>`).join("")
+      : `<div class="wl-result wl-result--empty">일치하는 ${source.quote} 페어 없음</div>`;
+    box.style.display = "";
+  } catch(e) {
+    console.error("Symbol search error:", e);
+  }
+}
+
+function addWatched(id) {
+  const ids = COINS.map(c => c.id);
+  const input = document.getElementById("wl-search");
+  input.value = "";
+  document.getElementById("wl-results").style.display = "none";
+  if (ids.includes(id)) return;
+  if (ids.length >= WATCHLIST_MAX) { input.placeholder = `최대 ${WATCHLIST_MAX}개까지 추가할 수 있습니다`; return; }
+  setWatchlist([...ids, id]);
+}
+
+export function bindWatchlistEvents() {
+  document.getElementById("watchlist-chips").addEventListener("click", e => {
+    const btn = e.target.closest(".wl-chip__btn");
+    if (btn) moveWatched(btn.closest(".wl-chip").dataset.id, btn.dataset.act);
+  });
+  const wlSearch = document.getElementById("wl-search");
+  let st;
+  wlSearch.addEventListener("input", () => { clearTimeout(st); st = setTimeout(() => searchSymbols(wlSearch.value), 200); });
+  wlSearch.addEventListener("keydown", e => {
+    if (e.key === "Enter") document.querySelector("#wl-results .wl-result[data-id]")?.click();
+    if (e.key === "Escape") { wlSearch.value = ""; document.getElementById("wl-results").style.display = "none"; }
+  });
+  document.getElementById("wl-results").addEventListener("click", e => {
+    const btn = e.target.closest(".wl-result[data-id]");
+    if (btn) addWatched(btn.dataset.id);
+  });
+}
@@ -0,0 +1,59 @@
+/* ============================================================
+   CryptoPricePredictor — sw.js
+
+   App shell for offline use and install. Same-origin files are
+   fetched network first, so a deploy shows up on the next load,
+   and served from the cache when offline. Web fonts are cache
+   first. Market data never goes through here: src/data.js keeps its
+   own candle store in IndexedDB.
+   ============================================================ */
+
+const SHELL_CACHE = "cpp-shell-v3";
+const FONT_CACHE  = "cpp-fonts-v1";
+const SHELL = [
+  "./", "index.html", "style.css", "app.js", "manifest.webmanifest",
+  "src/config.js", "src/format.js", "src/state.js", "src/data.js", "src/indicators.js",
+  "src/prediction.js", "src/history.js", "src/charts.js",
+  "src/ui/alerts.js", "src/ui/alts.js", "src/ui/backtest.js", "src/ui/backup.js", "src/ui/calibration.js",
+  "src/ui/dashboard.js", "src/ui/history.js", "src/ui/model.js", "src/ui/paper.js", "src/ui/pwa.js",
+  "src/ui/screener.js", "src/ui/signals.js", "src/ui/stream.js", "src/ui/watchlist.js",
+  "icons/icon.svg", "icons/icon-192.png", "icons/icon-512.png",
+];
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", e => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", e => {
+  const keep = [SHELL_CACHE, FONT_CACHE];
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith("cpp-") && !keep.includes(k)).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", e => {
+  const req = e.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    e.respondWith(caches.open(FONT_CACHE).then(async c => {
+      const hit = await c.match(req);
+      if (hit) return hit;
+      const r = await fetch(req);
+      if (r.ok || r.type === "opaque") c.put(req, r.clone());
+      return r;
+    }));
+    return;
+  }
+  if (url.origin !== location.origin) return; // exchange APIs, ads: straight to the network
+
+  e.respondWith(fetch(req)
+    .then(r => {
+      if (r.ok) { const copy = r.clone(); caches.open(SHELL_CACHE).then(c => c.put(req, copy)); }
+      return r;
+    })
+    .catch(async () => (await caches.match(req, { ignoreSearch: true })) ||
+      (req.mode === "navigate" ? caches.match("index.html") : Response.error())));
+});
@@ -0,0 +1,44 @@
+/* ============================================================
+   CryptoPricePredictor — test/data.test.js
+
+   The request queue background scans go through: concurrency,
+   the rolling weight budget and cancelling queued work.
+   ============================================================ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createQueue } from "../src/data.js";
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+test("at most `concurrency` jobs run at once", async () => {
+  const q = createQueue(2, 100);
+  let active = 0, peak = 0;
+  const job = async () => { peak = Math.max(peak, ++active); await sleep(10); active--; };
+  await Promise.all(Array.from({ length: 6 }, () => q.add(job)));
+  assert.equal(peak, 2);
+});
+
+test("jobs over the budget wait for the window to roll", async () => {
+  const q = createQueue(10, 3, 80);
+  const t0 = Date.now(), starts = [];
+  await Promise.all(Array.from({ length: 5 }, () => q.add(async () => starts.push(Date.now() - t0))));
+  assert.ok(starts.slice(0, 3).every(t => t < 40), `first three at ${starts}`);
+  assert.ok(starts.slice(3).every(t => t >= 70), `last two at ${starts}`);
+});
+
+test("a job heavier than the budget still runs on an empty window", async () => {
+  const q = createQueue(1, 2, 80);
+  assert.equal(await q.add(async () => "ok", 5), "ok");
+});
+
+test("clear() cancels queued jobs but not running ones", async () => {
+  const q = createQueue(1, 100);
+  let ran = 0;
+  const running = q.add(async () => { await sleep(20); return ++ran; });
+  const queued = [q.add(async () => ++ran), q.add(async () => ++ran)].map(p => assert.rejects(p, /cancelled/));
+  q.clear();
+  assert.equal(await running, 1);
+  await Promise.all(queued);
+  assert.equal(ran, 1);
+});
@@ -0,0 +1,115 @@
+/* ============================================================
+   CryptoPricePredictor — test/history.test.js
+
+   When a recorded forecast comes due, which candle scores it,
+   how a resolved entry is graded and how imported entries merge.
+   ============================================================ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { bandHit, candleAt, empiricalBand, isApprox, isHit, mergeEntries, migrateEntry, noteErrors, withDue } from "../src/history.js";
+
+const MIN = 60_000, HOUR = 3_600_000;
+const T0 = 1_709_251_200_000 + 30_000;   // 30 s into a minute
+
+const entry = (preds, actual = {}) => ({
+  ts: T0, coin: "BTC", src: "binance", price: 100, preds,
+  actual: Object.fromEntries(Object.keys(preds).map(h => [h, actual[h] ?? null])),
+});
+
+// ── Due ────────────────────────────────────────────────
+test("due waits for the 1m candle holding the deadline to close", () => {
+  const e = withDue(entry({ "1m": 101, "1h": 102 }));
+  // ts + 1m lands 30 s into the next minute; its candle closes a minute on
+  assert.equal(e.due, T0 - 30_000 + 2 * MIN);
+});
+
+test("due moves to the next unresolved horizon, then goes away", () => {
+  const e = withDue(entry({ "1m": 101, "1h": 102 }, { "1m": 100.5 }));
+  assert.equal(e.due, T0 - 30_000 + HOUR + MIN);
+  e.actual["1h"] = 101;
+  assert.equal("due" in withDue(e), false);
+});
+
+// ── Resolve ────────────────────────────────────────────
+const candles = [0, 1, 3].map(m => ({ t: T0 - 30_000 + m * MIN, T: T0 - 30_000 + (m + 1) * MIN - 1, c: 100 + m }));
+
+test("the candle holding the deadline scores it", () => {
+  assert.equal(candleAt(candles, T0 + MIN).c, 101);
+  assert.equal(candleAt(candles, candles[0].T).c, 100);
+});
+
+test("a minute without trades falls back to the closest close", () => {
+  // Minute 2 has no candle; minute 1 closed 1 ms before it began
+  assert.equal(candleAt(candles, T0 + 2 * MIN).c, 101);
+  assert.equal(candleAt(candles, T0 + 10 * MIN).c, 103);
+});
+
+test("outcomes off the deadline's candle are approximate", () => {
+  const late = ms => ({ late: { "1h": ms } });
+  assert.equal(isApprox(late(0), "1h"), false);
+  assert.equal(isApprox(late(MIN - 1), "1h"), false);
+  assert.equal(isApprox(late(MIN), "1h"), true);
+  assert.equal(isApprox(late(-1), "1h"), true);
+  assert.equal(isApprox(late(null), "1h"), false);
+});
+
+// ── Grading ────────────────────────────────────────────
+test("a hit is the right direction, whatever the size", () => {
+  assert.equal(isHit(entry({ "1h": 100.1 }, { "1h": 105 }), "1h"), true);
+  assert.equal(isHit(entry({ "1h": 99 }, { "1h": 100.1 }), "1h"), false);
+});
+
+test("bandHit reports the tightest band holding the outcome", () => {
+  const e = a => ({ ...entry({ "1h": 101 }, { "1h": a }), bands: { "1h": [99, 103, 97, 105] } });
+  assert.equal(bandHit(e(100), "1h"), 50);
+  assert.equal(bandHit(e(104), "1h"), 90);
+  assert.equal(bandHit(e(110), "1h"), 0);
+  assert.equal(bandHit(entry({ "1h": 101 }), "1h"), null);
+});
+
+test("flat legacy entries migrate to per-horizon fields", () => {
+  const e = migrateEntry({ ts: T0, coin: "BTC", price: 100, pred1m: 101, actual1m: 102, actual1mTs: T0 + MIN + 5_000, pred1d: 99 });
+  assert.deepEqual(e.preds, { "1m": 101, "1d": 99 });
+  assert.deepEqual(e.actual, { "1m": 102, "1d": null });
+  assert.deepEqual(e.late, { "1m": 5_000, "1d": null });
+});
+
+// ── Import Merge ───────────────────────────────────────
+const imported = (actual = {}) => {
+  const e = entry({ "1m": 101, "1h": 102 }, actual);
+  e.actualTs = Object.fromEntries(Object.keys(e.preds).map(h => [h, e.actual[h] == null ? null : T0 + HOUR]));
+  e.late = Object.fromEntries(Object.keys(e.preds).map(h => [h, e.actual[h] == null ? null : 0]));
+  return withDue(e);
+};
+
+test("a file listing one forecast twice adds it once, outcomes folded in", () => {
+  const first = imported(), second = imported({ "1m": 100.5 });
+  const { add, put, skipped } = mergeEntries([first, second, imported({ "1m": 100.7 })], new Map());
+  assert.deepEqual(add, [first]);
+  assert.deepEqual(put, []);
+  assert.equal(skipped, 2);
+  assert.equal(first.actual["1m"], 100.5); // the first outcome wins
+  assert.equal(first.due, T0 - 30_000 + HOUR + MIN);
+});
+
+test("a stored forecast is put back once, only for outcomes it lacks", () => {
+  const stored = { id: 7, ...imported({ "1m": 100.5 }) };
+  const existing = new Map([[`binance|BTC|${T0}`, stored]]);
+  const { add, put, skipped } = mergeEntries([imported({ "1m": 99, "1h": 103 }), imported({ "1h": 104 }), imported()], existing);
+  assert.deepEqual(add, []);
+  assert.deepEqual(put, [stored]);
+  assert.equal(skipped, 2);
+  assert.deepEqual(stored.actual, { "1m": 100.5, "1h": 103 });
+  assert.equal("due" in stored, false);
+});
+
+// ── Empirical Bands ────────────────────────────────────
+test("empirical bands need 20 resolved errors", () => {
+  for (let i = 0; i < 19; i++) noteErrors(entry({ "1h": 100 }, { "1h": 100 + (i - 9) / 10 }));
+  assert.equal(empiricalBand("BTC", "1h", 100, 100), null);
+  noteErrors(entry({ "1h": 100 }, { "1h": 101 }));
+  const b = empiricalBand("BTC", "1h", 100, 100);
+  assert.equal(b.method, "emp");
+  assert.ok(b.p90[0] <= b.p50[0] && b.p50[0] < b.p50[1] && b.p50[1] <= b.p90[1]);
+});
@@ -0,0 +1,201 @@
+/* ============================================================
+   CryptoPricePredictor — test/indicators.test.js
+
+   Indicator outputs against hand-checkable inputs and against
+   reference values for the 1h fixture, computed independently
+   from the textbook formulas.
+   ============================================================ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { FIB_RATIOS, calcADX, calcATR, calcBollinger, calcFibonacci, calcIchimoku, calcMACD, calcPSAR, calcRSI, calcStochastic, calcSupertrend, calcVWAP, detectPatterns, ema, findLevels, sma } from "../src/indicators.js";
+
+const kl = JSON.parse(readFileSync(new URL("./fixtures/btcusdt.json", import.meta.url)))["1h"];
+const closes = kl.map(k => k.c), highs = kl.map(k => k.h), lows = kl.map(k => k.l);
+const vols = kl.map(k => k.v), times = kl.map(k => k.t);
+
+function near(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)),
+    `expected ${expected}, got ${actual}`);
+}
+
+// ── Moving Averages ────────────────────────────────────
+test("ema is seeded with the first value", () => {
+  const r = ema([1, 2, 3, 4, 5], 3);   // k = 0.5
+  assert.deepEqual(r, [1, 1.5, 2.25, 3.125, 4.0625]);
+});
+
+test("sma is null until the window fills", () => {
+  assert.deepEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test("ema and sma on the fixture", () => {
+  near(ema(closes, 21).at(-1), 61217.30455637768);
+  near(ema(closes, 50).at(-1), 60036.227044975145);
+  near(sma(closes, 20).at(-1), 61281.08599999999);
+});
+
+// ── Oscillators ────────────────────────────────────────
+test("rsi is 100 on a series that only rises", () => {
+  assert.equal(calcRSI(Array.from({ length: 20 }, (_, i) => i)).value, 100);
+});
+
+test("rsi falls back to 50 without enough data", () => {
+  assert.deepEqual(calcRSI([1, 2, 3]), { value: 50, series: [] });
+});
+
+test("rsi on the fixture (Wilder smoothing)", () => {
+  const r = calcRSI(closes);
+  assert.equal(r.series.length, closes.length);
+  assert.ok(r.series.slice(0, 15).every(v => v === 50));
+  near(r.series[15], 37.64201147626957);
+  near(r.value, 66.49671781614302);
+});
+
+test("macd on the fixture", () => {
+  const m = calcMACD(closes);
+  near(m.line, 562.1119777403437);
+  near(m.signal, 557.8934864131494);
+  near(m.histogram, 4.218491327194329, 1e-7);
+  assert.equal(m.histSeries.length, closes.length);
+});
+
+test("stochastic on the fixture", () => {
+  const s = calcStochastic(highs, lows, closes);
+  near(s.k, 93.33323072029212);
+  near(s.d, 90.84999512588035);
+  assert.ok(s.kSeries.slice(0, 13).every(v => v === 50));
+});
+
+// ── Volatility ─────────────────────────────────────────
+test("bollinger bands use the population deviation", () => {
+  const b = calcBollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);   // σ = 2
+  assert.equal(b.lastMid, 5);
+  assert.equal(b.lastUpper, 9);
+  assert.equal(b.lastLower, 1);
+});
+
+test("bollinger on the fixture", () => {
+  const b = calcBollinger(closes);
+  near(b.lastUpper, 62306.384049025735);
+  near(b.lastMid, 61281.08599999999);
+  near(b.lastLower, 60255.78795097424);
+  near(b.bbWidth, 0.0334621370458659);
+  near(b.pctB, 0.8505878123357077);
+});
+
+test("atr takes the gap from the previous close", () => {
+  // TR: 2, then max(1, |13-10|, |12-10|) = 3
+  const a = calcATR([11, 13], [9, 12], [10, 12.5], 3);
+  assert.deepEqual(a.series, [2, 2.5]);
+});
+
+test("atr on the fixture", () => {
+  near(calcATR(highs, lows, closes).value, 512.3832876868271);
+});
+
+// ── Volume ─────────────────────────────────────────────
+test("vwap restarts at each anchor", () => {
+  // Typical prices 10, 20 | 30: the third bar opens a new session
+  const v = calcVWAP([11, 21, 31], [9, 19, 29], [10, 20, 30], [1, 3, 2], [0, 1, 2], 2);
+  assert.deepEqual(v.series, [10, 17.5, 30]);
+});
+
+test("vwap on the fixture (daily sessions)", () => {
+  near(calcVWAP(highs, lows, closes, vols, times).value, 60978.10992853453);
+});
+
+// ── Trend ──────────────────────────────────────────────
+test("adx on the fixture (Wilder smoothing)", () => {
+  const a = calcADX(highs, lows, closes);
+  near(a.adx, 36.76663291614218);
+  near(a.plusDI, 24.12861591738806);
+  near(a.minusDI, 11.754022877300576);
+  assert.equal(a.series[2 * 14 - 2], null);
+  assert.notEqual(a.series[2 * 14 - 1], null);
+});
+
+test("psar on the fixture", () => {
+  const p = calcPSAR(highs, lows);
+  near(p.value, 61394.43);
+  assert.equal(p.trend, 1);
+  assert.equal(p.series.length, highs.length);
+});
+
+test("psar flips when price crosses it", () => {
+  const p = calcPSAR([10, 11, 12, 9], [9, 10, 11, 7]);
+  assert.deepEqual(p.trendSeries, [1, 1, 1, -1]);
+  assert.equal(p.value, 12);   // the uptrend's extreme point
+});
+
+test("supertrend on the fixture", () => {
+  const s = calcSupertrend(highs, lows, closes);
+  near(s.value, 60400.98334086908);
+  assert.equal(s.trend, 1);
+});
+
+test("ichimoku on the fixture", () => {
+  const c = calcIchimoku(highs, lows);
+  near(c.tenkan.at(-1), 61455.34);
+  near(c.kijun.at(-1), 60683.945);
+  near(c.spanA.at(-1), 61069.6425);
+  near(c.spanB.at(-1), 59893.05);
+  assert.equal(c.spanA.length, highs.length + 26);
+  assert.equal(c.spanB[26 + 50], null);
+});
+
+// ── Levels ─────────────────────────────────────────────
+test("fibonacci measures the pullback from the later swing", () => {
+  const up = calcFibonacci([5, 6, 9, 7, 8], [4, 3, 6, 5, 6]);
+  assert.deepEqual([up.high, up.low, up.up, up.hiIdx, up.loIdx], [9, 3, true, 2, 1]);
+  near(up.levels.find(l => l.ratio === 0.618).price, 9 - 6 * 0.618);
+
+  const down = calcFibonacci([9, 6, 5], [8, 4, 3]);
+  assert.equal(down.up, false);
+  near(down.levels.find(l => l.ratio === 0.382).price, 3 + 6 * 0.382);
+  assert.deepEqual(down.levels.map(l => l.ratio), FIB_RATIOS);
+});
+
+test("findLevels merges nearby pivots into one zone", () => {
+  const hs = [1, 2, 3, 10, 3, 2, 1, 2, 3, 10.01, 3, 2, 1];
+  const ls = hs.map(v => v - 0.5), cs = hs.map(v => v - 0.25);
+  const z = findLevels(hs, ls, cs, hs.map(() => 0), 0.1);
+  assert.equal(z.length, 2);
+  assert.deepEqual([z[0].lo, z[0].hi, z[0].strength, z[0].kind], [10, 10.01, 2, "resistance"]);
+  near(z[0].price, 10.005);
+  assert.deepEqual([z[1].price, z[1].strength, z[1].kind], [0.5, 1, "support"]);
+});
+
+test("findLevels adds volume-profile peaks at double weight", () => {
+  const hs = [1, 2, 3, 10, 3, 2, 1, 2, 3, 10.01, 3, 2, 1];
+  const ls = hs.map(v => v - 0.5), cs = hs.map(v => v - 0.25);
+  // All volume on one bar spanning the lowest three of 40 bins
+  const z = findLevels(hs, ls, cs, hs.map((_, i) => i === 6 ? 100 : 0), 1);
+  const step = (10.01 - 0.5) / 40;
+  assert.equal(z[0].strength, 1 + 3 * 2);
+  assert.equal(z[0].vol, true);
+  near(z[0].price, (0.5 + 2 * 3 * (0.5 + 1.5 * step)) / 7);
+});
+
+// ── Candlestick Patterns ───────────────────────────────
+// rows: [open, high, low, close]
+const patterns = rows => detectPatterns(...[0, 1, 2, 3].map(j => rows.map(r => r[j])));
+
+test("bullish engulfing", () => {
+  assert.deepEqual(patterns([[10, 10.2, 8.8, 9], [8.9, 10.4, 8.8, 10.3]]), [{ i: 1, key: "engulfBull" }]);
+});
+
+test("doji", () => {
+  assert.deepEqual(patterns([[10, 10.5, 9.5, 10.2], [10.1, 10.5, 9.5, 10.11]]), [{ i: 1, key: "doji" }]);
+});
+
+test("three white soldiers", () => {
+  const rows = [[10, 11.1, 9.9, 11], [10.5, 12.1, 10.4, 12], [11.5, 13.1, 11.4, 13]];
+  assert.deepEqual(patterns(rows), [{ i: 2, key: "soldiers" }]);
+});
+
+test("three black crows, then a hammer after the decline", () => {
+  const rows = [[10, 10.1, 9.4, 9.5], [9.5, 9.6, 8.9, 9], [9, 9.1, 8.4, 8.5], [8.3, 8.7, 7.5, 8.6]];
+  assert.deepEqual(patterns(rows), [{ i: 2, key: "crows" }, { i: 3, key: "hammer" }]);
+});
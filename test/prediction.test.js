@@ -0,0 +1,89 @@
+/* ============================================================
+   CryptoPricePredictor — test/prediction.test.js
+
+   The forecast engine and backtest replay on the fixture
+   candles. Snapshot values guard against unintended model
+   changes; update them when a change to the model is meant.
+   ============================================================ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { BT_WARMUP, CONFLUENCE_TFS, DEFAULT_MODEL, analyzeSeries, computePrediction, replayBacktest, runBacktest, signalKeys } from "../src/prediction.js";
+
+const sets = JSON.parse(readFileSync(new URL("./fixtures/btcusdt.json", import.meta.url)));
+const price = sets["1h"].at(-1).c;
+
+function near(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)),
+    `expected ${expected}, got ${actual}`);
+}
+
+// ── Prediction ─────────────────────────────────────────
+test("computePrediction snapshot", () => {
+  const p = computePrediction(price, sets);
+  assert.equal(p.overall, "neutral");
+  near(p.rsi, 66.49671781614302);
+  near(p.confluence.score, 0.03333333333333334);
+  near(p.horizons["1m"].price, 62004.41652702301);
+  near(p.horizons["1h"].price, 61941.97609812824);
+  near(p.horizons["1d"].price, 61740.75582566764);
+});
+
+test("forecasts only for horizons with candles", () => {
+  const p = computePrediction(price, { "1h": sets["1h"], "1d": sets["1d"] }, DEFAULT_MODEL, ["1m", "1h"]);
+  assert.deepEqual(Object.keys(p.horizons), ["1h"]);
+});
+
+test("an open last bar is left out of the volume signals", () => {
+  const kl = sets["1h"], dCloses = sets["1d"].slice(-30).map(k => k.c);
+  const vol = a => ["Volume", "OBV", "Taker", "VWMom"].map(k => a.raw[k]);
+  const open = analyzeSeries(price, kl, dCloses, DEFAULT_MODEL, kl.at(-1).T - 1);
+  assert.deepEqual(vol(open), vol(analyzeSeries(price, kl.slice(0, -1), dCloses)));
+  assert.notDeepEqual(vol(open), vol(analyzeSeries(price, kl, dCloses)));
+});
+
+test("bands nest around each forecast", () => {
+  const p = computePrediction(price, sets);
+  for (const [h, f] of Object.entries(p.horizons)) {
+    const { p50, p90 } = f.bands;
+    assert.ok(p90[0] < p50[0] && p50[0] < f.price && f.price < p50[1] && p50[1] < p90[1], h);
+  }
+});
+
+test("each move stays within the model's cap", () => {
+  const p = computePrediction(price, sets);
+  for (const [h, f] of Object.entries(p.horizons)) {
+    const mix = signalKeys().reduce((s, k) => s + f.raw[k] * DEFAULT_MODEL.w[h][k], 0);
+    assert.ok(Math.abs(f.price / price - 1) <= Math.abs(mix) * DEFAULT_MODEL.cap[h] + 1e-12, h);
+  }
+});
+
+test("confluence scores every loaded timeframe in [-1, 1]", () => {
+  const { confluence } = computePrediction(price, sets);
+  assert.deepEqual([...confluence.tfs].sort(), Object.keys(CONFLUENCE_TFS).sort());
+  for (const s of [confluence.score, ...Object.values(confluence.scores)])
+    assert.ok(s >= -1 && s <= 1);
+});
+
+// ── Backtest ───────────────────────────────────────────
+test("replay forecasts every bar after the warm-up", () => {
+  const pts = replayBacktest(sets);
+  for (const h of Object.keys(pts))
+    assert.equal(pts[h].length, sets[h].length - BT_WARMUP - 1, h);
+});
+
+test("replay doesn't look ahead", () => {
+  const full = replayBacktest(sets)["1h"];
+  const cut = replayBacktest({ ...sets, "1h": sets["1h"].slice(0, -20) })["1h"];
+  assert.deepEqual(cut, full.slice(0, cut.length));
+});
+
+test("runBacktest snapshot", () => {
+  const r = runBacktest(sets);
+  assert.equal(r["1h"].samples, 107);
+  near(r["1h"].hitRate, 47.66355140186916);
+  near(r["1h"].mae, 0.47027778350049676);
+  near(r["1h"].ret, -7.1765972788244925);
+  assert.equal(r["1h"].equity.length, r["1h"].samples + 1);
+});